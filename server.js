@@ -1,16 +1,30 @@
 // server.js — HERE Transit proxy with arrive-by/depart sweep + geocoding + D-Ticket filter
 // Node 18+ / Vercel (@vercel/node).  Copy–paste this file and redeploy.
+// Routing backends are pluggable (HERE by default; db-rest/OSRM and offline fixtures).
 
 const express = require('express');
 const cors = require('cors');
-const fetch = global.fetch || require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// All outbound HTTP (upstreams, webhooks) goes through fetch; setFetch() swaps
+// the implementation, e.g. for a stub in tests.
+let fetchImpl = global.fetch || require('node-fetch');
+const fetch = (...args) => fetchImpl(...args);
+function setFetch(fn){ fetchImpl = fn || global.fetch || require('node-fetch'); }
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.use(observeRequest);   // request ids, JSON access log, latency metrics (see "Observability")
+// CORS and authentication are wired up per API key below (see "Authentication").
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 const PORT = process.env.PORT || 3000;
-const HERE_API_KEY = process.env.HERE_API_KEY;           // REQUIRED
+const HERE_API_KEY = process.env.HERE_API_KEY;           // required by the 'here' provider
 const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || '').toLowerCase(); // e.g. 'de'
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -18,13 +32,87 @@ const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || '').toLowerCase(); // e.
 // ─────────────────────────────────────────────────────────────────────────────
 const nowUnix = () => Math.floor(Date.now()/1000);
 
-function parseTs(input) {
+// Wall-clock input and output is read in an IANA zone (?tz= / body.tz), never
+// the server's own TZ; opening hours and "YYYY-MM-DD HH:mm" default to Berlin.
+const DEFAULT_TZ = process.env.DEFAULT_TZ || 'Europe/Berlin';
+
+// Unusable request input; routes answer 400 instead of 500.
+class BadInputError extends Error {}
+
+const TZ_FORMATS = new Map();
+function tzFormat(tz){
+  let f = TZ_FORMATS.get(tz);
+  if (!f) {
+    // Throws RangeError for unknown zones, so only valid ones are cached.
+    f = new Intl.DateTimeFormat('en-US', { timeZone: tz, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    TZ_FORMATS.set(tz, f);
+  }
+  return f;
+}
+
+function validTz(tz){
+  try { tzFormat(tz); return true; } catch { return false; }
+}
+
+// { y, m, d, h, mi, s, wd:'Mon' } of ts as seen on a wall clock in tz.
+function zonedParts(ts, tz = DEFAULT_TZ){
+  const p = {};
+  for (const { type, value } of tzFormat(tz).formatToParts(new Date(ts * 1000))) p[type] = value;
+  return { y: +p.year, m: +p.month, d: +p.day, h: +p.hour, mi: +p.minute, s: +p.second, wd: p.weekday };
+}
+
+// Seconds east of UTC in tz at ts.
+function tzOffsetSec(ts, tz = DEFAULT_TZ){
+  const p = zonedParts(ts, tz);
+  return Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s) / 1000 - Math.floor(ts);
+}
+
+// Unix time of a wall-clock time in tz. Times skipped by a DST jump land an hour
+// later; repeated ones resolve to the first occurrence. h=24 is next midnight.
+function zonedToUnix(y, m, d, h, mi, s, tz = DEFAULT_TZ){
+  const wall = Date.UTC(y, m - 1, d, h, mi, s) / 1000;
+  const before = tzOffsetSec(wall - 43200, tz), after = tzOffsetSec(wall + 43200, tz);
+  const fits = [wall - before, wall - after].filter(t => tzOffsetSec(t, tz) === wall - t);
+  return fits.length ? Math.min(...fits) : wall - before;
+}
+
+// "2026-03-29T10:15:00+02:00" — ts as local ISO 8601 with the zone's offset.
+function toLocalIso(ts, tz = DEFAULT_TZ){
+  const p = zonedParts(ts, tz);
+  const off = tzOffsetSec(ts, tz);
+  const two = (n) => String(n).padStart(2, '0');
+  const sign = off < 0 ? '-' : '+';
+  const abs = Math.abs(off) / 60;
+  return `${p.y}-${two(p.m)}-${two(p.d)}T${two(p.h)}:${two(p.mi)}:${two(p.s)}${sign}${two(Math.floor(abs / 60))}:${two(abs % 60)}`;
+}
+
+// now | unix seconds | ISO 8601 with Z/offset | local "YYYY-MM-DD[ T]HH:mm[:ss]" or
+// "YYYY-MM-DD" (midnight) in tz. Anything else throws BadInputError.
+const TIME_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+function parseTs(input, tz = DEFAULT_TZ) {
   if (input == null) return nowUnix();
-  const v = String(input).trim().toLowerCase();
-  if (v === 'now') return nowUnix();
-  const n = Number(v);
-  if (Number.isFinite(n)) return Math.floor(n);
-  return nowUnix();
+  const raw = String(input).trim();
+  const v = raw.toLowerCase();
+  if (v === '' || v === 'now') return nowUnix();
+  // 9–11 plain digits only: "2026", "1e9" or "0x10" are typos, not 1970.
+  if (/^\d{9,11}$/.test(v)) return Number(v);
+
+  const m = raw.match(TIME_RE);
+  if (!m) throw new BadInputError(`invalid time '${raw}' (use now, unix seconds, ISO 8601 or "YYYY-MM-DD HH:mm")`);
+  const [y, mo, d, h, mi, s] = m.slice(1, 7).map(x => Number(x || 0));
+  const check = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+  if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d || check.getUTCHours() !== h
+      || check.getUTCMinutes() !== mi || check.getUTCSeconds() !== s) {
+    throw new BadInputError(`invalid time '${raw}' (no such date or time of day)`);
+  }
+  const off = m[7];
+  if (!off) return zonedToUnix(y, mo, d, h, mi, s, tz);
+  if (off.toUpperCase() === 'Z') return Date.UTC(y, mo - 1, d, h, mi, s) / 1000;
+  const [, sign, oh, om] = off.match(/([+-])(\d{2}):?(\d{2})/);
+  if (+om > 59 || +oh * 60 + +om > 14 * 60) throw new BadInputError(`invalid time '${raw}' (offset beyond ±14:00)`);
+  return Date.UTC(y, mo - 1, d, h, mi, s) / 1000 - (sign === '-' ? -1 : 1) * (+oh * 3600 + +om * 60);
 }
 
 function toIso(ts) {
@@ -32,15 +120,18 @@ function toIso(ts) {
   return new Date(ts * 1000).toISOString();
 }
 
+// Like Promise.all over worker(item, idx), at most `limit` at a time: the first
+// worker that throws rejects the pool and no further items start.
 async function runPool(items, limit, worker){
   const out = new Array(items.length);
-  let i = 0, active = 0, done = 0;
-  return await new Promise(res=>{
+  if (!items.length) return out;
+  let i = 0, active = 0, done = 0, failed = false;
+  return await new Promise((res, rej)=>{
     function next(){
-      while(active < limit && i < items.length){
+      while(!failed && active < limit && i < items.length){
         const idx = i++; active++;
-        Promise.resolve(worker(items[idx], idx))
-          .then(v => { out[idx] = v; })
+        Promise.resolve().then(() => worker(items[idx], idx))
+          .then(v => { out[idx] = v; }, e => { failed = true; rej(e); })
           .finally(()=>{ active--; done++; if (done === items.length) res(out); else next(); });
       }
     }
@@ -48,13 +139,472 @@ async function runPool(items, limit, worker){
   });
 }
 
-// Products we consider NOT valid for the Deutschlandticket.
-const NON_D_TICKET_PRODUCTS = new Set([
-  'highspeedtrain',
-  'intercitytrain',
-  'longdistancetrain',
-  'internationaltrain'
-]);
+// ─── Observability ────────────────────────────────────────────────────────────
+// One JSON object per log line. Every request gets an id (x-request-id, taken from
+// the caller if sane) that is echoed back and stamped on its access log line, along
+// with `notes`: what happened underneath (geocode misses, cached negatives, upstream
+// 429s, D-Ticket rejections). GET /metrics renders the registry below for Prometheus.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info;
+const REQ_CTX = new AsyncLocalStorage();
+
+function log(level, msg, fields = {}){
+  if ((LOG_LEVELS[level] || 0) < LOG_LEVEL) return;
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, msg, req_id: REQ_CTX.getStore()?.id, ...fields });
+  if (level === 'error' || level === 'warn') console.error(line); else console.log(line);
+}
+
+// Tally something notable against the current request (no-op outside one).
+function note(kind){
+  const ctx = REQ_CTX.getStore();
+  if (ctx) ctx.notes[kind] = (ctx.notes[kind] || 0) + 1;
+}
+
+const METRICS = new Map();   // name → { type, help, buckets?, series: Map(labelKey → value | {buckets,sum,count}) }
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function metric(name, type, help, buckets){
+  if (!METRICS.has(name)) METRICS.set(name, { type, help, buckets, series: new Map() });
+  return METRICS.get(name);
+}
+const labelKey = (labels) => Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',');
+
+function metricInc(name, help, labels = {}, by = 1){
+  const m = metric(name, 'counter', help);
+  const k = labelKey(labels);
+  m.series.set(k, (m.series.get(k) || 0) + by);
+}
+
+function metricObserve(name, help, labels, value, buckets = LATENCY_BUCKETS){
+  const m = metric(name, 'histogram', help, buckets);
+  const k = labelKey(labels);
+  let h = m.series.get(k);
+  if (!h) m.series.set(k, h = { counts: buckets.map(() => 0), sum: 0, count: 0 });
+  buckets.forEach((b, i) => { if (value <= b) h.counts[i]++; });
+  h.sum += value; h.count++;
+}
+
+function renderMetrics(gauges){
+  const out = [];
+  const braces = (k) => k ? `{${k}}` : '';
+  for (const [name, m] of [...METRICS, ...gauges]) {
+    out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const [k, v] of m.series) {
+      if (m.type !== 'histogram') { out.push(`${name}${braces(k)} ${v}`); continue; }
+      m.buckets.forEach((b, i) => out.push(`${name}_bucket{${k ? `${k},` : ''}le="${b}"} ${v.counts[i]}`));
+      out.push(`${name}_bucket{${k ? `${k},` : ''}le="+Inf"} ${v.count}`, `${name}_sum${braces(k)} ${v.sum}`, `${name}_count${braces(k)} ${v.count}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+function observeRequest(req, res, next){
+  const given = String(req.get('x-request-id') || '');
+  const id = /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  const ctx = { id, notes: {} };
+  const t0 = process.hrtime.bigint();
+  req.id = id;
+  res.set('x-request-id', id);
+  // Remember the body's status so the log says *why*, not just the HTTP code.
+  const json = res.json.bind(res);
+  res.json = (body) => { res.locals.result = body?.status ?? body?.error; return json(body); };
+  res.on('finish', () => {
+    const sec = Number(process.hrtime.bigint() - t0) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metricObserve('proxy_http_request_duration_seconds', 'Request latency by route', { route, method: req.method, status: res.statusCode }, sec);
+    // Query strings stay out of the log: they can carry api_key.
+    log(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+      req_id: id, method: req.method, path: req.path, route, status: res.statusCode,
+      result: res.locals.result, ms: Math.round(sec * 1000), client: req.apiClient,
+      notes: Object.keys(ctx.notes).length ? ctx.notes : undefined
+    });
+  });
+  REQ_CTX.run(ctx, next);
+}
+
+// ─── Authentication ───────────────────────────────────────────────────────────
+// Client keys from API_KEYS_FILE (JSON list) or API_KEYS (same JSON, or "name:key,…"):
+//   { name, key, secret?, routes:['/transit','/drive'] | ['*'], origins:['https://…'] }
+// Send the key as x-api-key (or ?api_key). Keys with a `secret` must sign instead:
+//   x-timestamp: unix seconds, x-signature: hex HMAC-SHA256(secret,
+//   `${timestamp}\n${METHOD}\n${path?query}\n${body}`)
+// A signature is accepted once: repeats inside the skew window are refused as replays.
+// Browsers only get CORS headers for the key's `origins`. With no keys configured
+// the proxy stays open (and says so at startup). /health is always public.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || '';
+const HMAC_MAX_SKEW_SEC = 300;
+const PUBLIC_PATHS = ['/health', '/metrics'];
+
+function loadApiKeys(){
+  const raw = API_KEYS_FILE ? null : (process.env.API_KEYS || '').trim();
+  if (!API_KEYS_FILE && !raw) return null;
+  let list = [];
+  try {
+    list = API_KEYS_FILE ? JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'))
+         : raw.startsWith('[') ? JSON.parse(raw)
+         : raw.split(',').map(x => x.trim().split(':')).map(([name, key]) => ({ name, key }));
+  } catch (e) {
+    // Configured but unreadable: fail closed rather than serve everyone.
+    log('error', 'API keys not loaded, all requests will be refused', { error: e.message });
+  }
+  const keys = new Map();
+  for (const k of Array.isArray(list) ? list : []) {
+    if (!k?.key) continue;
+    keys.set(String(k.key), {
+      name: String(k.name || k.key.slice(0, 6)),
+      key: String(k.key),
+      secret: k.secret ? String(k.secret) : null,
+      routes: Array.isArray(k.routes) && k.routes.length ? k.routes : ['*'],
+      origins: Array.isArray(k.origins) ? k.origins : []
+    });
+  }
+  return keys;
+}
+const API_KEYS = loadApiKeys();
+if (!API_KEYS) log('warn', 'No API_KEYS/API_KEYS_FILE set: proxy is open to anyone');
+
+const KEY_USAGE = new Map();   // client name → { requests, denied, routes:{path:n}, last_used }
+
+function keyUsage(name){
+  if (!KEY_USAGE.has(name)) KEY_USAGE.set(name, { requests: 0, denied: 0, routes: {}, last_used: null });
+  return KEY_USAGE.get(name);
+}
+
+const routeAllowed = (rec, p) => rec.routes.some(r => r === '*' || p === r || p.startsWith(r.endsWith('/') ? r : `${r}/`));
+const originAllowed = (rec, origin) => rec.origins.includes('*') || rec.origins.includes(origin);
+
+function verifySignature(req, rec){
+  const ts = Number(req.get('x-timestamp'));
+  const sig = String(req.get('x-signature') || '');
+  if (!Number.isFinite(ts) || Math.abs(nowUnix() - ts) > HMAC_MAX_SKEW_SEC) return 'x-timestamp missing or outside ±5 min';
+  const payload = `${ts}\n${req.method}\n${req.originalUrl}\n${req.rawBody ? req.rawBody.toString('utf8') : ''}`;
+  const want = crypto.createHmac('sha256', rec.secret).update(payload).digest('hex');
+  // Hex only, so string and byte lengths agree before timingSafeEqual.
+  if (!/^[0-9a-f]{64}$/i.test(sig) || !crypto.timingSafeEqual(Buffer.from(sig.toLowerCase()), Buffer.from(want))) return 'bad x-signature';
+  const seen = `${rec.key}|${ts}|${want}`;
+  if (SEEN_SIGNATURES.has(seen)) return 'replayed request';
+  SEEN_SIGNATURES.set(seen, ts + HMAC_MAX_SKEW_SEC);
+  return null;
+}
+
+// Signatures seen inside the skew window (→ unix expiry). Insertion order is close
+// enough to expiry order for pruning from the front.
+const SEEN_SIGNATURES = new Map();
+setInterval(() => {
+  const now = nowUnix();
+  for (const [k, exp] of SEEN_SIGNATURES) { if (exp >= now) break; SEEN_SIGNATURES.delete(k); }
+}, 30 * 1000).unref();
+
+// Preflights carry no key, so they're answered for any origin some key allows;
+// the real request is then checked against its own key's list.
+app.use(cors((req, cb) => {
+  const origin = req.get('origin');
+  if (!API_KEYS || !origin) return cb(null, { origin: !API_KEYS });
+  const rec = API_KEYS.get(req.get('x-api-key') || String(req.query.api_key || ''));
+  const ok = req.method === 'OPTIONS' ? [...API_KEYS.values()].some(k => originAllowed(k, origin))
+           : !!rec && originAllowed(rec, origin);
+  cb(null, { origin: ok, allowedHeaders: ['content-type', 'x-api-key', 'x-timestamp', 'x-signature'] });
+}));
+
+function authenticate(req, res, next){
+  if (!API_KEYS || req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) return next();
+  if (req.path.startsWith('/admin/')) return next();            // ADMIN_TOKEN guards these
+  const rec = API_KEYS.get(req.get('x-api-key') || String(req.query.api_key || ''));
+  if (!rec) return res.status(401).json({ status:'UNAUTHORIZED', error:'missing or unknown API key' });
+  const usage = keyUsage(rec.name);
+  const deny = (code, status, error) => { usage.denied++; return res.status(code).json({ status, error }); };
+  if (rec.secret) {
+    const bad = verifySignature(req, rec);
+    if (bad) return deny(401, 'UNAUTHORIZED', bad);
+  }
+  if (!routeAllowed(rec, req.path)) return deny(403, 'FORBIDDEN', `key '${rec.name}' may not call ${req.path}`);
+  const origin = req.get('origin');
+  if (origin && !originAllowed(rec, origin)) return deny(403, 'FORBIDDEN', `origin ${origin} not allowed for key '${rec.name}'`);
+  usage.requests++;
+  usage.routes[req.path] = (usage.routes[req.path] || 0) + 1;
+  usage.last_used = nowUnix();
+  req.apiClient = rec.name;
+  next();
+}
+app.use(authenticate);
+
+// ─── Upstream client: rate limits, timeouts, retries, daily quota ─────────────
+// Every outbound call goes through upstreamFetch(name, url, init). Per upstream:
+//   RATE_<NAME>_RPS / RATE_<NAME>_BURST   token bucket (waits for a token)
+//   TIMEOUT_<NAME>_MS                     abort after this long
+//   QUOTA_<NAME>_DAILY                    requests per UTC day (0 = unlimited)
+// 429/5xx and timeouts are retried with exponential backoff (Retry-After wins).
+// Failures come back as Responses (504 timeout, 429 quota) so callers only check r.ok.
+// Quota counters live in memory per instance: every serverless instance (and every
+// restart) starts from zero, so set the budget with the instance count in mind.
+// All upstream calls of one inbound request share UPSTREAM_REQUEST_BUDGET_MS: once it
+// is spent, attempts are cut short and nothing is retried, so a sweep of sequential
+// probes cannot outlive the platform's function timeout.
+const UPSTREAM_DEFAULTS = {
+  here:     { rps: 10, burst: 20, timeoutMs: 8000 },
+  overpass: { rps: 1,  burst: 2,  timeoutMs: 25000 },
+  dbrest:   { rps: 2,  burst: 5,  timeoutMs: 10000 },
+  osrm:     { rps: 5,  burst: 10, timeoutMs: 8000 }
+};
+const UPSTREAM_RETRIES    = parseInt(process.env.UPSTREAM_RETRIES || '', 10) >= 0 ? parseInt(process.env.UPSTREAM_RETRIES, 10) : 2;
+const UPSTREAM_BACKOFF_MS = parseInt(process.env.UPSTREAM_BACKOFF_MS || '', 10) || 500;
+const UPSTREAM_MAX_WAIT_MS = 10000;                 // never sleep longer than this for one retry
+const QUOTA_SOFT_RATIO    = Number(process.env.QUOTA_SOFT_RATIO) || 0.8;
+const UPSTREAM_REQUEST_BUDGET_MS = parseInt(process.env.UPSTREAM_REQUEST_BUDGET_MS || '', 10) || 20000;
+const UPSTREAMS = new Map();
+const UPSTREAM_DEADLINE = new AsyncLocalStorage();   // { at: ms } for the current inbound request
+
+app.use((req, res, next) => UPSTREAM_DEADLINE.run({ at: Date.now() + UPSTREAM_REQUEST_BUDGET_MS }, next));
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function upstream(name){
+  let u = UPSTREAMS.get(name);
+  if (u) return u;
+  const env = (k) => Number(process.env[`${k}_${name.toUpperCase()}${k === 'TIMEOUT' ? '_MS' : ''}`]);
+  const d = UPSTREAM_DEFAULTS[name] || { rps: 5, burst: 10, timeoutMs: 8000 };
+  const rps = env('RATE') > 0 ? env('RATE') : d.rps;
+  const burst = Number(process.env[`RATE_${name.toUpperCase()}_BURST`]) || d.burst;
+  u = {
+    name, rps, burst, tokens: burst, refilled: Date.now(),
+    timeoutMs: env('TIMEOUT') > 0 ? env('TIMEOUT') : d.timeoutMs,
+    budget: Number(process.env[`QUOTA_${name.toUpperCase()}_DAILY`]) || 0,
+    day: null, used: 0,
+    stats: { requests: 0, retries: 0, timeouts: 0, throttled: 0, rejected: 0 }
+  };
+  UPSTREAMS.set(name, u);
+  return u;
+}
+
+async function takeToken(u){
+  for (;;) {
+    const now = Date.now();
+    u.tokens = Math.min(u.burst, u.tokens + (now - u.refilled) / 1000 * u.rps);
+    u.refilled = now;
+    if (u.tokens >= 1) { u.tokens -= 1; return; }
+    u.stats.throttled++;
+    await sleep(Math.ceil((1 - u.tokens) / u.rps * 1000));
+  }
+}
+
+// Usage today; level is 'ok', 'soft' (past QUOTA_SOFT_RATIO of the budget) or 'exhausted'.
+function quotaState(name){
+  const u = upstream(name);
+  const day = new Date().toISOString().slice(0, 10);
+  if (u.day !== day) { u.day = day; u.used = 0; }
+  const level = !u.budget ? 'ok'
+              : u.used >= u.budget ? 'exhausted'
+              : u.used >= u.budget * QUOTA_SOFT_RATIO ? 'soft' : 'ok';
+  return { day, used: u.used, budget: u.budget || null, level };
+}
+
+function retryDelayMs(r, attempt){
+  const ra = r?.headers?.get('retry-after');
+  if (ra) {
+    const secs = Number(ra);
+    const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(ra) - Date.now();
+    if (Number.isFinite(ms)) return Math.min(UPSTREAM_MAX_WAIT_MS, Math.max(0, ms));
+  }
+  const base = UPSTREAM_BACKOFF_MS * 2 ** attempt;
+  return Math.min(UPSTREAM_MAX_WAIT_MS, base + Math.floor(Math.random() * base / 2));
+}
+
+const countUpstream = (name, status) => {
+  metricInc('proxy_upstream_requests_total', 'Upstream calls by upstream and HTTP status (timeout, quota)', { upstream: name, status });
+  if (status !== 200) note(`${name}_${status}`);
+};
+
+async function upstreamFetch(name, url, init = {}){
+  if (UPSTREAM_FIXTURES === 'replay') return replayFixture(name, url, init);
+  const u = upstream(name);
+  const deadline = UPSTREAM_DEADLINE.getStore()?.at ?? Infinity;   // none for scheduler calls
+  for (let attempt = 0; ; attempt++) {
+    if (Date.now() >= deadline) {
+      countUpstream(name, 'deadline');
+      return new Response(JSON.stringify({ error: `request budget spent before calling ${name}` }), { status: 504 });
+    }
+    if (quotaState(name).level === 'exhausted') {
+      u.stats.rejected++;
+      countUpstream(name, 'quota');
+      return new Response(JSON.stringify({ error: `${name} daily quota exhausted` }), { status: 429, headers: { 'x-quota': 'exhausted' } });
+    }
+    await takeToken(u);
+    u.used++; u.stats.requests++;
+    const timeoutMs = Math.max(1, Math.min(u.timeoutMs, deadline - Date.now()));
+    let r = null;
+    try {
+      r = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      if (e.name !== 'TimeoutError' && e.name !== 'AbortError') throw e;
+      u.stats.timeouts++;
+    }
+    countUpstream(name, r ? r.status : 'timeout');
+    const retryable = !r || r.status === 429 || r.status >= 500;
+    const wait = retryable ? retryDelayMs(r, attempt) : 0;
+    if (!retryable || attempt >= UPSTREAM_RETRIES || Date.now() + wait >= deadline) {
+      if (r && UPSTREAM_FIXTURES === 'record') return recordFixture(name, url, init, r);
+      return r || new Response(JSON.stringify({ error: `${name} timed out after ${timeoutMs}ms` }), { status: 504 });
+    }
+    u.stats.retries++;
+    await sleep(wait);
+  }
+}
+
+// ─── Upstream fixtures: record / replay ───────────────────────────────────────
+// UPSTREAM_FIXTURES=record saves every upstream answer to UPSTREAM_FIXTURES_DIR;
+// =replay serves them from there without touching the network, limits or quotas
+// (a missing fixture is a 404 with x-fixture: missing). One file per
+// upstream + method + URL + body; API keys are stripped from the URL first.
+const UPSTREAM_FIXTURES     = String(process.env.UPSTREAM_FIXTURES || '').toLowerCase();
+const UPSTREAM_FIXTURES_DIR = process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'upstream');
+const FIXTURE_SECRET_PARAMS = ['apiKey', 'apikey', 'api_key', 'key'];
+
+function fixtureFile(name, url, init){
+  const u = new URL(url);
+  for (const p of FIXTURE_SECRET_PARAMS) u.searchParams.delete(p);
+  const method = (init.method || 'GET').toUpperCase();
+  const body = typeof init.body === 'string' ? init.body : init.body == null ? '' : String(init.body);
+  const hash = crypto.createHash('sha1').update(`${method} ${u}\n${body}`).digest('hex').slice(0, 16);
+  return { file: path.join(UPSTREAM_FIXTURES_DIR, `${name}-${hash}.json`), url: u.toString(), method, body };
+}
+
+function replayFixture(name, url, init){
+  const { file } = fixtureFile(name, url, init);
+  let f = null;
+  try { f = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { /* missing */ }
+  countUpstream(name, f ? f.status : 'fixture_missing');
+  if (!f) {
+    log('warn', 'upstream fixture missing', { upstream: name, file: path.basename(file) });
+    return new Response(JSON.stringify({ error: `no ${name} fixture for this request` }), { status: 404, headers: { 'x-fixture': 'missing' } });
+  }
+  return new Response(f.text || null, { status: f.status, headers: f.headers || {} });
+}
+
+async function recordFixture(name, url, init, r){
+  const { file, url: cleanUrl, method, body } = fixtureFile(name, url, init);
+  const text = await r.text();
+  const headers = {};
+  for (const h of ['content-type', 'retry-after']) if (r.headers.get(h)) headers[h] = r.headers.get(h);
+  fs.mkdirSync(UPSTREAM_FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ upstream: name, method, url: cleanUrl, body: body || undefined, status: r.status, headers, text }, null, 2));
+  return new Response(text || null, { status: r.status, headers });
+}
+
+// ─── Inbound rate limiting ────────────────────────────────────────────────────
+// One token bucket per authenticated client, else per IP. An unchecked x-api-key
+// is never a bucket key: rotating it would dodge the limit.
+// Sweeping routes cost more than one token since each fans out into several probes.
+const INBOUND_RPM   = parseInt(process.env.INBOUND_RPM || '', 10) || 120;
+const INBOUND_BURST = parseInt(process.env.INBOUND_BURST || '', 10) || 30;
+const INBOUND_COST  = { '/transit': 4, '/feasibility': 4, '/combined': 4, '/plan': 4, '/matrix': 8, '/reachable': 8 };
+const INBOUND_MAX_CLIENTS = 10000;
+const INBOUND = new Map();
+
+function inboundLimit(req, res, next){
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+  const client = req.apiClient || `ip:${req.ip}`;
+  const cost = INBOUND_COST[req.path] || 1;
+  const now = Date.now();
+  let b = INBOUND.get(client);
+  if (!b) {
+    if (INBOUND.size >= INBOUND_MAX_CLIENTS) INBOUND.delete(INBOUND.keys().next().value);
+    b = { tokens: INBOUND_BURST, refilled: now };
+  }
+  INBOUND.delete(client); INBOUND.set(client, b);   // LRU order
+  b.tokens = Math.min(INBOUND_BURST, b.tokens + (now - b.refilled) / 60000 * INBOUND_RPM);
+  b.refilled = now;
+  if (b.tokens < cost) {
+    const wait = Math.ceil((cost - b.tokens) / INBOUND_RPM * 60);
+    res.set('Retry-After', String(wait));
+    return res.status(429).json({ status:'RATE_LIMITED', error:`rate limit exceeded; retry in ${wait}s` });
+  }
+  b.tokens -= cost;
+  next();
+}
+app.use(inboundLimit);
+
+// ─── D-Ticket validity rules ──────────────────────────────────────────────────
+// Defaults below; DTICKET_RULES_FILE (JSON, same shape) is merged on top:
+// lists are appended, scalars replace. Each violation names the rule id it broke.
+const DEFAULT_DTICKET_RULES = {
+  // HERE transport.mode / category values (lower-cased) never covered.
+  products: ['highspeedtrain', 'intercitytrain', 'longdistancetrain', 'internationaltrain'],
+  // Line names, for when the category is missing or misclassified.
+  line_patterns: ['(^|\\s)(ice|tgv|ece|ec|ic|rj|rjx|railjet|nj|en|est)(\\s|\\d|$)'],
+  // Private long-distance operators, never covered whatever HERE calls the product.
+  operators: ['flix', 'westbahn', 'european sleeper', 'snälltåget'],
+  // Long-distance lines the Länder accept the D-Ticket on; the section's product
+  // must be `product` and both ends must match `stations` for the exception to apply.
+  accepted_lines: [
+    { id: 'ic_gaeubahn', line: '^ic(\\s|\\d|$)', product: 'intercitytrain', stations: '^(stuttgart|böblingen|herrenberg|eutingen|horb|sulz|oberndorf|rottweil|spaichingen|tuttlingen|engen|singen)' },
+    { id: 'ic_norddeich', line: '^ic(\\s|\\d|$)', product: 'intercitytrain', stations: '^(bremen|delmenhorst|hude|oldenburg|bad zwischenahn|westerstede|augustfehn|leer|emden|marienhafe|norden|norddeich)' }
+  ],
+  // Stations beyond the border; reaching one needs an international ticket unless
+  // it is listed in `border_accepted` (D-Ticket tariff extends there).
+  foreign_stations: '^(salzburg|kufstein|innsbruck|wien|linz|basel|schaffhausen|zürich|strasbourg|forbach|metz|luxembourg|venlo|enschede|arnhem|amsterdam|maastricht|heerlen|kerkrade|liège|eupen|praha|cheb|děčín|szczecin|kostrzyn|słubice|padborg|tønder)',
+  border_accepted: ['^salzburg hbf', '^kufstein', '^basel bad', '^venlo', '^enschede', '^kerkrade']
+};
+
+function loadDTicketRules(){
+  const rules = JSON.parse(JSON.stringify(DEFAULT_DTICKET_RULES));
+  const file = process.env.DTICKET_RULES_FILE;
+  if (!file) return rules;
+  try {
+    const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [k, v] of Object.entries(extra)) {
+      rules[k] = Array.isArray(v) && Array.isArray(rules[k]) ? rules[k].concat(v) : v;
+    }
+  } catch (e) {
+    log('error', 'DTICKET_RULES_FILE ignored', { error: e.message });
+  }
+  return rules;
+}
+
+const DTICKET_RULES = loadDTicketRules();
+
+// Every rule the sections break; [] = valid. `mode` is what HERE can be asked to exclude.
+function dticketViolations(sections, rules = DTICKET_RULES){
+  const rx = (p) => new RegExp(p, 'i');
+  const lineRes = rules.line_patterns.map(rx);
+  const foreign = rules.foreign_stations ? rx(rules.foreign_stations) : null;
+  const borderOk = (rules.border_accepted || []).map(rx);
+  const out = [];
+
+  sections.forEach((s, idx) => {
+    const t = s?.transport;
+    if (!t || t.mode === 'pedestrian') return;
+    const mode = String(t.mode || '');
+    const cat  = String(t.category || '').toLowerCase().trim();
+    const name = String(t.name || t.shortName || '').trim();
+    const op   = String(t.operator || s?.agency?.name || '').toLowerCase();
+    const from = String(s?.departure?.place?.name || '');
+    const to   = String(s?.arrival?.place?.name || '');
+    const base = { section: idx, line: name, product: t.category || mode, from, to };
+
+    const opHit = rules.operators.find(o => op.includes(String(o).toLowerCase()));
+    if (opHit) { out.push({ ...base, rule: 'operator', detail: opHit, mode }); return; }
+
+    const accepted = rules.accepted_lines.find(a =>
+      rx(a.line).test(name) && (!a.product || [mode.toLowerCase(), cat].includes(String(a.product).toLowerCase()))
+      && (!a.stations || (rx(a.stations).test(from) && rx(a.stations).test(to))));
+
+    if (!accepted) {
+      const prodHit = [mode.toLowerCase(), cat].find(v => v && rules.products.includes(v));
+      if (prodHit) { out.push({ ...base, rule: 'product', detail: prodHit, mode }); return; }
+      if (lineRes.some(r => r.test(name))) { out.push({ ...base, rule: 'line_pattern', detail: name, mode }); return; }
+    }
+
+    if (foreign) {
+      const abroad = [from, to].find(n => foreign.test(n) && !borderOk.some(r => r.test(n)));
+      if (abroad) out.push({ ...base, rule: 'international', detail: abroad, mode });
+    }
+  });
+  return out;
+}
+
+// Ranked connections per /transit call, and extra routes asked of HERE per probe.
+const MAX_ALTERNATIVES = 5;
+const MAX_HERE_ALTERNATIVES = 4;
 
 // Map alpha-2 → alpha-3 (if ?country=de etc.)
 const ISO2_TO_3 = { DE:'DEU', AT:'AUT', CH:'CHE', NL:'NLD', BE:'BEL', FR:'FRA', IT:'ITA', ES:'ESP', PT:'PRT', PL:'POL', CZ:'CZE', SK:'SVK', HU:'HUN', DK:'DNK', SE:'SWE', NO:'NOR', FI:'FIN', IE:'IRL', GB:'GBR', LU:'LUX' };
@@ -69,83 +619,358 @@ function sanitizeQ(q) {
   return s.split(/[|;\n]/)[0].slice(0, 140).trim();
 }
 
-async function geocode(q, countryBias = '') {
-  if (!HERE_API_KEY) throw new Error('HERE_API_KEY missing');
+// Ambiguity: the winning match came from Discover (a POI search, often a
+// namesake elsewhere), or the runner-up scores almost as well yet lies far away.
+const GEOCODE_CANDIDATES   = 5;
+const GEOCODE_AMBIG_DELTA  = parseFloat(process.env.GEOCODE_AMBIG_DELTA || '') || 0.1;
+const GEOCODE_AMBIG_KM     = parseFloat(process.env.GEOCODE_AMBIG_KM || '') || 1;
+
+function assessAmbiguity(val){
+  if (!val?.ok) return null;
+  if (val.source === 'discover') return 'discover_fallback';
+  const [a, b] = val.candidates || [];
+  if (!a || !b || !Number.isFinite(a.score) || !Number.isFinite(b.score)) return null;
+  if (a.score - b.score >= GEOCODE_AMBIG_DELTA) return null;
+  return haversineKm(a.lat, a.lng, b.lat, b.lng) > GEOCODE_AMBIG_KM ? 'close_scores' : null;
+}
+
+// opts.candidates: keep the full candidate list (otherwise only when ambiguous).
+async function geocode(q, countryBias = '', provider = '', opts = {}) {
+  const prov = getProvider(provider);
+  if (!prov) return { ok:false, status:400, error:'UNKNOWN_PROVIDER', tried:q };
+  if (!prov.configured()) throw new Error(`${prov.name} provider not configured`);
 
   // 1) Accept "lat,lng"
   const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(q||''));
   if (m) return { ok:true, lat:+m[1], lng:+m[2], title:`${+m[1]},${+m[2]}` };
 
-  const base = 'https://geocode.search.hereapi.com/v1/geocode';
+  // 2) "@alias" from the locations registry — never geocoded
+  if (/^\s*@/.test(String(q||''))) return resolveAlias(q);
+
   const qClean = sanitizeQ(q);
   if (!qClean) return { ok:false, status:400, error:'EMPTY_Q', tried:q };
 
   const up = (countryBias || '').trim().toUpperCase();
   const iso3 = up.length === 2 ? (ISO2_TO_3[up] || null) : (up.length === 3 ? up : null);
-  const cacheKey = `${qClean}|${iso3||''}`;
+  const cacheKey = `${prov.name}|${qClean}|${iso3||''}`;
+
+  let val = await GEO_CACHE.get(cacheKey);
+  if (!val) {
+    val = await inflight(cacheKey, GEO_INFLIGHT, async () => {
+      const v = await callProvider(prov, 'geocode', qClean, iso3);
+      // Hits live long (depots don't move); misses expire quickly; upstream errors
+      // (429, 5xx, timeouts) aren't cached at all.
+      if (v.ok || v.status === 'ZERO_RESULTS') await GEO_CACHE.set(cacheKey, v, v.ok ? GEO_TTL_MS : GEO_NEG_TTL_MS);
+      return v;
+    });
+  }
+  if (!val.ok) { note(val.status === 'ZERO_RESULTS' ? 'geocode_miss' : 'geocode_error'); return val; }
+
+  const reason = assessAmbiguity(val);
+  const { candidates, ...top } = val;
+  return {
+    ...top,
+    ambiguous: !!reason,
+    ambiguity: reason || undefined,
+    candidates: (reason || opts.candidates) ? (candidates || []) : undefined
+  };
+}
 
-  const cached = lruGet(GEO_CACHE, cacheKey);
-  if (cached) return cached;
+// Any of the given geocode results that must not be routed to silently.
+function ambiguousGeocodes(named){
+  const out = {};
+  for (const [k, g] of Object.entries(named)) if (g?.ok && g.ambiguous) out[k] = g;
+  return Object.keys(out).length ? out : null;
+}
 
-  return await inflight(cacheKey, GEO_INFLIGHT, async () => {
-    const makeUrl = (withIn) => {
-      const p = new URLSearchParams({ q: qClean, apiKey: HERE_API_KEY, lang: 'de-DE', limit: '1' });
-      if (withIn && iso3) p.set('in', `countryCode:${iso3}`);
-      return `${base}?${p.toString()}`;
-    };
+async function hereGeocode(qClean, iso3) {
+  const base = 'https://geocode.search.hereapi.com/v1/geocode';
+  const makeUrl = (withIn) => {
+    const p = new URLSearchParams({ q: qClean, apiKey: HERE_API_KEY, lang: 'de-DE', limit: String(GEOCODE_CANDIDATES) });
+    if (withIn && iso3) p.set('in', `countryCode:${iso3}`);
+    return `${base}?${p.toString()}`;
+  };
+  const toCandidate = (it, source) => ({
+    lat: it.position.lat, lng: it.position.lng,
+    title: it.title || qClean,
+    score: it.scoring?.queryScore ?? null,
+    result_type: it.resultType || null,
+    address: it.address ? {
+      label: it.address.label, country_code: it.address.countryCode, state: it.address.state,
+      city: it.address.city, district: it.address.district, street: it.address.street,
+      house_number: it.address.houseNumber, postal_code: it.address.postalCode
+    } : null,
+    source
+  });
+  const result = (items, source) => {
+    const candidates = (items || []).filter(it => it?.position).map(it => toCandidate(it, source));
+    if (!candidates.length) return null;
+    const { lat, lng, title, score, result_type } = candidates[0];
+    return { ok:true, lat, lng, title, score, result_type, source, candidates };
+  };
 
-    for (const url of [ makeUrl(true), makeUrl(false) ]) {
-      const r = await fetch(url);
-      if (r.ok) {
-        const j = await r.json();
-        const it = j.items?.[0];
-        if (it?.position) {
-          const val = { ok:true, lat:it.position.lat, lng:it.position.lng, title:it.title || qClean };
-          lruSet(GEO_CACHE, cacheKey, val, GEO_CACHE_MAX, GEO_NEG_TTL_MS);
-          return val;
-        }
-      } else if (r.status !== 400 && r.status !== 422) {
-        const val = { ok:false, status:r.status, error:`HTTP ${r.status}`, tried:qClean };
-        lruSet(GEO_CACHE, cacheKey, val, GEO_CACHE_MAX);
-        return val;
-      }
+  for (const url of [ makeUrl(true), makeUrl(false) ]) {
+    const r = await upstreamFetch('here', url);
+    if (r.ok) {
+      const hit = result((await r.json()).items, 'geocode');
+      if (hit) return hit;
+    } else if (r.status !== 400 && r.status !== 422) {
+      return { ok:false, status:r.status, error:`HTTP ${r.status}`, tried:qClean };
     }
+  }
+
+  // Discover fallback
+  const d = new URL('https://discover.search.hereapi.com/v1/discover');
+  d.searchParams.set('q', qClean);
+  d.searchParams.set('apiKey', HERE_API_KEY);
+  d.searchParams.set('limit', String(GEOCODE_CANDIDATES));
+  const rr = await upstreamFetch('here', d.toString());
+  if (rr.ok) {
+    const hit = result((await rr.json()).items, 'discover');
+    if (hit) return hit;
+  }
+  return { ok:false, status:'ZERO_RESULTS', error:null, tried:qClean };
+}
+
+// ─── Saved locations registry ─────────────────────────────────────────────────
+// Named depots/branches/customers, referenced as "@alias" wherever an address is
+// accepted. Kept in a JSON file (LOCATIONS_FILE), rewritten atomically on change.
+// There is no default path: the deploy directory is read-only on serverless hosts,
+// so without LOCATIONS_FILE the registry is empty and changes are refused.
+const LOCATIONS_FILE = process.env.LOCATIONS_FILE || '';
+const ALIAS_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+let LOCATIONS;   // alias → record
+
+function loadLocations(){
+  if (LOCATIONS) return LOCATIONS;
+  LOCATIONS = new Map();
+  if (!LOCATIONS_FILE) return LOCATIONS;
+  try {
+    const list = JSON.parse(fs.readFileSync(LOCATIONS_FILE, 'utf8'));
+    for (const rec of Array.isArray(list) ? list : []) if (rec?.alias) LOCATIONS.set(rec.alias, rec);
+  } catch (e) {
+    if (e.code !== 'ENOENT') log('error', 'LOCATIONS_FILE unreadable', { error: e.message });
+  }
+  return LOCATIONS;
+}
+
+function saveLocations(){
+  const tmp = `${LOCATIONS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...loadLocations().values()], null, 2));
+  fs.renameSync(tmp, LOCATIONS_FILE);
+}
+
+// Set (rec) or delete (null) one alias and write the file in the same tick, so no
+// other request can interleave; a failed write undoes the change.
+function updateLocation(alias, rec){
+  const map = loadLocations(), prev = map.get(alias);
+  if (rec) map.set(alias, rec); else map.delete(alias);
+  try { saveLocations(); }
+  catch (e) { if (prev) map.set(alias, prev); else map.delete(alias); throw e; }
+}
+
+function resolveAlias(q){
+  const alias = String(q).trim().replace(/^@/, '').toLowerCase();
+  const rec = loadLocations().get(alias);
+  if (!rec) return { ok:false, status:'UNKNOWN_ALIAS', error:null, tried:q };
+  return {
+    ok:true, lat:rec.lat, lng:rec.lng, title:rec.name || `@${alias}`,
+    source:'registry', alias, country:rec.country || null, opening_hours:rec.opening_hours || null
+  };
+}
+
+// Validate a create/update body against an optional existing record.
+// Address-only bodies are geocoded once; the coordinates are then fixed.
+async function buildLocation(body, existing){
+  const rec = { ...(existing || {}) };
+  const alias = String(body.alias ?? rec.alias ?? '').trim().replace(/^@/, '').toLowerCase();
+  if (!ALIAS_RE.test(alias)) return { error:'alias must be 1-64 chars of a-z, 0-9, _ or -' };
+  rec.alias = alias;
+  for (const k of ['name', 'address', 'country', 'notes', 'opening_hours']) {
+    if (body[k] !== undefined) rec[k] = body[k] == null ? null : String(body[k]).trim();
+  }
+  if (rec.country) rec.country = rec.country.toLowerCase();
+  if (rec.opening_hours && !parseOpeningHours(rec.opening_hours)) return { error:'opening_hours not understood' };
+
+  if (body.lat !== undefined || body.lng !== undefined) {
+    // Number(null) and Number('') are 0: only numbers and numeric strings count.
+    const coord = (v) => typeof v === 'number' ? v : typeof v === 'string' && v.trim() ? Number(v) : NaN;
+    rec.lat = coord(body.lat); rec.lng = coord(body.lng);
+  } else if (body.address !== undefined && rec.address) {
+    const g = await geocode(rec.address, rec.country || DEFAULT_COUNTRY);
+    if (!g?.ok) return { error:'address could not be geocoded', geocode:g };
+    if (g.ambiguous) return { error:'address is ambiguous; send lat/lng', geocode:g };
+    rec.lat = g.lat; rec.lng = g.lng;
+  }
+  if (!Number.isFinite(rec.lat) || !Number.isFinite(rec.lng) || Math.abs(rec.lat) > 90 || Math.abs(rec.lng) > 180) {
+    return { error:'lat/lng (or a geocodable address) required' };
+  }
+  rec.name = rec.name || alias;
+  const now = new Date().toISOString();
+  rec.created_at = rec.created_at || now;
+  rec.updated_at = now;
+  return { rec };
+}
 
-    // Discover fallback
-    const d = new URL('https://discover.search.hereapi.com/v1/discover');
-    d.searchParams.set('q', qClean);
-    d.searchParams.set('apiKey', HERE_API_KEY);
-    d.searchParams.set('limit', '1');
-    const rr = await fetch(d.toString());
-    if (rr.ok) {
-      const jj = await rr.json();
-      const it = jj.items?.[0];
-      if (it?.position) {
-        const val = { ok:true, lat:it.position.lat, lng:it.position.lng, title:it.title || qClean };
-        lruSet(GEO_CACHE, cacheKey, val, GEO_CACHE_MAX, GEO_NEG_TTL_MS);
-        return val;
+// ─── Cache backends ───────────────────────────────────────────────────────────
+// Every cache is a memory LRU; with the redis backend it is also written through
+// to a Redis-protocol store so cold starts and parallel instances share entries.
+// CACHE_BACKEND=memory|redis sets the default, CACHE_<NAME>_BACKEND overrides it
+// per cache, CACHE_<NAME>_TTL_MS sets the TTL of entries stored without one.
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+const REDIS_URL = process.env.REDIS_URL || '';
+const CACHE_PREFIX = process.env.CACHE_PREFIX || 'plp:';
+const PERSIST_DEFAULT_TTL_MS = 7 * 24 * 3600 * 1000;   // redis entries never live forever
+const CACHES = new Map();   // name → cache
+
+function createCache(name, { max, ttlMs } = {}){
+  const env = name.toUpperCase();
+  const backend = (process.env[`CACHE_${env}_BACKEND`] || CACHE_BACKEND).toLowerCase();
+  const defaultTtl = parseInt(process.env[`CACHE_${env}_TTL_MS`] || '', 10) || ttlMs;
+  const mem = new Map();
+  const redis = backend === 'redis' && REDIS_URL ? getRedis() : null;
+  if (backend === 'redis' && !REDIS_URL) log('error', 'REDIS_URL missing, using memory', { cache: name });
+  const st = { hits: 0, misses: 0, sets: 0, errors: 0, remote_hits: 0 };
+  const ns = `${CACHE_PREFIX}${name}:`;
+
+  const cache = {
+    name,
+    backend: redis ? 'redis' : 'memory',
+    async get(key){
+      const v = lruGet(mem, key);
+      if (v !== undefined) { st.hits++; return v; }
+      if (redis) {
+        try {
+          const raw = await redis.command('GET', ns + key);
+          if (raw != null) {
+            const val = JSON.parse(raw);
+            lruSet(mem, key, val, max, defaultTtl);
+            st.hits++; st.remote_hits++;
+            return val;
+          }
+        } catch { st.errors++; }
+      }
+      st.misses++;
+      return undefined;
+    },
+    async set(key, val, ttl){
+      const eff = Number.isFinite(ttl) && ttl > 0 ? ttl : defaultTtl;
+      lruSet(mem, key, val, max, eff);
+      st.sets++;
+      if (redis) {
+        try { await redis.command('SET', ns + key, JSON.stringify(val), 'PX', String(eff || PERSIST_DEFAULT_TTL_MS)); }
+        catch { st.errors++; }
       }
+    },
+    async keys(prefix = '', limit = 100){
+      const out = new Set([...mem.keys()].filter(k => k.startsWith(prefix)).slice(0, limit));
+      if (redis && out.size < limit) {
+        try {
+          for (const k of await redisScan(redis, ns + prefix, limit)) {
+            out.add(k.slice(ns.length));
+            if (out.size >= limit) break;
+          }
+        } catch { st.errors++; }
+      }
+      return [...out];
+    },
+    async peek(key){
+      const v = lruGet(mem, key);
+      if (v !== undefined || !redis) return v;
+      try { const raw = await redis.command('GET', ns + key); return raw != null ? JSON.parse(raw) : undefined; }
+      catch { st.errors++; return undefined; }
+    },
+    async purge(prefix = ''){
+      let n = 0;
+      for (const k of [...mem.keys()]) if (k.startsWith(prefix)) { mem.delete(k); n++; }
+      if (redis) {
+        try {
+          const keys = await redisScan(redis, ns + prefix, Infinity);
+          for (let i = 0; i < keys.length; i += 500) await redis.command('DEL', ...keys.slice(i, i + 500));
+          n = Math.max(n, keys.length);
+        } catch { st.errors++; }
+      }
+      return n;
+    },
+    stats(){
+      const lookups = st.hits + st.misses;
+      return { name, backend: cache.backend, size: mem.size, max, default_ttl_ms: defaultTtl ?? null,
+               ...st, hit_ratio: lookups ? Math.round(st.hits / lookups * 1000) / 1000 : null };
     }
-    const val = { ok:false, status:'ZERO_RESULTS', error:null, tried:qClean };
-    lruSet(GEO_CACHE, cacheKey, val, GEO_CACHE_MAX, GEO_NEG_TTL_MS);
-    return val;
+  };
+  CACHES.set(name, cache);
+  return cache;
+}
+
+async function redisScan(redis, prefix, limit){
+  const pattern = prefix.replace(/[*?[\]\\]/g, '\\$&') + '*';
+  const out = [];
+  let cursor = '0';
+  do {
+    const [next, keys] = await redis.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', '500');
+    out.push(...keys);
+    cursor = next;
+  } while (cursor !== '0' && out.length < limit);
+  return out;
+}
+
+// node-redis client (redis:// or rediss://; credentials and db come from the URL),
+// loaded only once a cache uses the redis backend. Commands fail fast while it is
+// disconnected and time out after 1 s, so a dead store degrades to the memory tier.
+let REDIS;
+function getRedis(){
+  if (REDIS) return REDIS;
+  const { createClient } = require('redis');
+  const client = createClient({
+    url: REDIS_URL,
+    disableOfflineQueue: true,
+    socket: { connectTimeout: 1000, reconnectStrategy: (n) => Math.min(n * 200, 5000) }
   });
+  client.on('error', (e) => log('error', 'redis error', { error: e.message }));
+  client.connect().catch(() => {});   // keeps reconnecting; failures are logged above
+
+  REDIS = {
+    command(...args){
+      const reply = client.sendCommand(args.map(String));
+      reply.catch(() => {});
+      let t;
+      const timeout = new Promise((_, reject) => { t = setTimeout(() => reject(new Error('redis timeout')), 1000); });
+      return Promise.race([reply, timeout]).finally(() => clearTimeout(t));
+    }
+  };
+  return REDIS;
 }
 
 // ─── Caches ───────────────────────────────────────────────────────────────────
 const GEO_CACHE_MAX = 2000;
 const TRN_CACHE_MAX = 4000;
+const GEO_TTL_MS     = parseInt(process.env.GEO_TTL_MS || '', 10) || 30 * 24 * 3600 * 1000; // 30d
 const GEO_NEG_TTL_MS = parseInt(process.env.GEO_NEG_TTL_MS || '', 10) || 5 * 60 * 1000; // 5m
 const TRN_NEG_TTL_MS = parseInt(process.env.TRN_NEG_TTL_MS || '', 10) || 2 * 60 * 1000; // 2m
-const GEO_CACHE = new Map();      // key: q|iso3  → value
-const GEO_INFLIGHT = new Map();   // key: q|iso3  → Promise
-const TRN_CACHE = new Map();      // key: o|d|mode|ts|dticket → value
+const REALTIME_MAX_AGE_SEC = parseInt(process.env.REALTIME_MAX_AGE_SEC || '', 10) || 60;
+const SWEEP_LOW_QUOTA_PROBES = parseInt(process.env.SWEEP_LOW_QUOTA_PROBES || '', 10) || 3;
+const GEO_CACHE = createCache('geo', { max: GEO_CACHE_MAX });       // key: provider|q|iso3  → value
+const GEO_INFLIGHT = new Map();   // key: provider|q|iso3  → Promise
+const TRN_CACHE = createCache('trn', { max: TRN_CACHE_MAX });       // key: provider|o|d|mode|ts|dticket|alts|excl → value
 const TRN_INFLIGHT = new Map();   // key: same → Promise
 
-// ─── Overpass / Sixt lookup (free tier) ───────────────────────────────────────
+// ─── Overpass / rental branch lookup (free tier) ──────────────────────────────
 const OSM_OVERPASS_URL = process.env.OSM_OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
-const SIXT_CACHE = new Map();   // key: lat,lng,day → value
-const SIXT_CACHE_MAX = 1000;
+const BRANCH_CACHE_MAX = 1000;
+const BRANCH_CACHE = createCache('branch', { max: BRANCH_CACHE_MAX });   // key: lat,lng|radius|brands → candidates (hours evaluated per call)
+const MAX_BRANCH_RADIUS = 50000;  // m
+const MAX_BRANCH_LIMIT = 50;
+
+// Brands we move cars for → regex matched against brand/operator/name (case-insensitive).
+// Unknown brands passed to /branches are matched literally.
+const RENTAL_BRANDS = {
+  sixt:       'sixt',
+  europcar:   'europcar',
+  avis:       'avis',
+  hertz:      'hertz',
+  enterprise: 'enterprise',
+  buchbinder: 'buchbinder'
+};
 
 function haversineKm(lat1, lon1, lat2, lon2) {
   const R = 6371;
@@ -156,126 +981,362 @@ function haversineKm(lat1, lon1, lat2, lon2) {
   return 2 * R * Math.asin(Math.sqrt(a));
 }
 
-function weekdayLocal(ts){
-  // 0=Sun..6=Sat → map to OSM tokens
-  const d = new Date(ts * 1000);
-  const idx = d.getDay(); // 0..6
-  const MAP = ['Su','Mo','Tu','We','Th','Fr','Sa'];
-  return { token: MAP[idx], y: d.getFullYear(), m: d.getMonth()+1, d: d.getDate() };
+function weekdayLocal(ts, tz = DEFAULT_TZ){
+  // 'Mon'..'Sun' → OSM tokens, on the wall clock of tz
+  const p = zonedParts(ts, tz);
+  return { token: p.wd.slice(0, 2), y: p.y, m: p.m, d: p.d, min: p.h*60 + p.mi };
 }
 
-function parseOpeningHoursForDay(oh, dayToken){
-  // Tiny parser covering the common cases: "Mo-Fr 08:00-20:00; Sa 09:00-14:00; Su off", "24/7"
-  if (!oh || typeof oh !== 'string') return null;
-  const s = oh.trim();
-  if (/24\s*\/\s*7/.test(s)) return { open: '00:00', close: '23:59' };
-
-  // Normalize separators
-  const parts = s.split(';').map(t => t.trim()).filter(Boolean);
-  const DAY = ['Mo','Tu','We','Th','Fr','Sa','Su'];
-
-  const dayIndex = DAY.indexOf(dayToken);
-  if (dayIndex < 0) return null;
-
-  function tokenCoversDay(token){
-    token = token.trim();
-    if (token === dayToken) return true;
-    // Ranges like "Mo-Fr" or "Sa-Su"
-    const m = /^([A-Z][a-z])\s*-\s*([A-Z][a-z])$/.exec(token);
-    if (m){
-      const a = DAY.indexOf(m[1]);
-      const b = DAY.indexOf(m[2]);
-      if (a >= 0 && b >= 0){
-        if (a <= b) return dayIndex >= a && dayIndex <= b;
-        // wrap-around ranges like "Fr-Mo"
-        return (dayIndex >= a) || (dayIndex <= b);
-      }
+// ─── Opening hours (OSM opening_hours) ────────────────────────────────────────
+// Covers what car-rental branches actually use: weekday ranges/lists incl. nth
+// weekday ("Sa[1]"), PH, year/month/date ranges, week numbers, split shifts,
+// overnight spans, "off"/"closed", "24/7", ";" / "," / "||" rule separators.
+// Anything else (sunrise, SH, …) makes the whole value "unparsed".
+const DEFAULT_STATE = (process.env.DEFAULT_STATE || '').toUpperCase(); // e.g. 'BY'
+const OH_DAYS   = ['Mo','Tu','We','Th','Fr','Sa','Su'];
+const OH_MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+const OH_DAY_RE = OH_DAYS.join('|');
+const OH_MON_RE = OH_MONTHS.join('|');
+
+// German public holidays: offsets from Easter Sunday, fixed dates, and which
+// federal states (ISO 3166-2:DE suffix) observe them. Empty list = nationwide.
+const DE_HOLIDAYS = [
+  { md: '01-01', states: [] },
+  { md: '01-06', states: ['BW','BY','ST'] },
+  { md: '03-08', states: ['BE','MV'] },
+  { easter: -2,  states: [] },
+  { easter: 0,   states: ['BB'] },
+  { easter: 1,   states: [] },
+  { md: '05-01', states: [] },
+  { easter: 39,  states: [] },
+  { easter: 49,  states: ['BB'] },
+  { easter: 50,  states: [] },
+  { easter: 60,  states: ['BW','BY','HE','NW','RP','SL'] },
+  { md: '08-15', states: ['SL'] },
+  { md: '09-20', states: ['TH'] },
+  { md: '10-03', states: [] },
+  { md: '10-31', states: ['BB','HB','HH','MV','NI','SN','SH','ST','TH'] },
+  { md: '11-01', states: ['BW','BY','NW','RP','SL'] },
+  { repentance: true, states: ['SN'] },
+  { md: '12-25', states: [] },
+  { md: '12-26', states: [] }
+];
+
+function easterSunday(y){
+  // Anonymous Gregorian algorithm
+  const a = y % 19, b = Math.floor(y / 100), c = y % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3), h = (19*a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2*e + 2*i - h - k) % 7;
+  const m = Math.floor((a + 11*h + 22*l) / 451);
+  const month = Math.floor((h + l - 7*m + 114) / 31);
+  const day = ((h + l - 7*m + 114) % 31) + 1;
+  return Date.UTC(y, month - 1, day);
+}
+
+const PH_CACHE = new Map();   // key: y|state → Set('MM-DD')
+function germanHolidays(y, state){
+  const key = `${y}|${state || ''}`;
+  if (PH_CACHE.has(key)) return PH_CACHE.get(key);
+  const mmdd = (ms) => new Date(ms).toISOString().slice(5, 10);
+  const easter = easterSunday(y);
+  const out = new Set();
+  for (const h of DE_HOLIDAYS) {
+    if (h.states.length && !h.states.includes(state)) continue;
+    if (h.md) out.add(h.md);
+    else if (h.easter != null) out.add(mmdd(easter + h.easter * 86400000));
+    else if (h.repentance) {
+      // Buß- und Bettag: the Wednesday before 23 November
+      const nov23 = Date.UTC(y, 10, 23);
+      const back = ((new Date(nov23).getUTCDay() - 3 + 7) % 7) || 7;
+      out.add(mmdd(nov23 - back * 86400000));
     }
-    // Comma lists "Mo,We,Fr"
-    if (token.includes(',')){
-      return token.split(',').map(t => t.trim()).includes(dayToken);
-    }
-    // Single "Su" or "off"
-    if (/^(PH|off)$/i.test(token)) return false;
-    return token === dayToken;
-  }
-
-  for (const rule of parts){
-    // Split day spec and hour spec
-    // Examples:
-    //  "Mo-Fr 08:00-20:00"
-    //  "Sa 09:00-14:00"
-    //  "Su off"
-    const m = /^([^0-9]*?)\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})/i.exec(rule);
-    if (m){
-      const daysSpec = m[1].trim() || dayToken;
-      const open = m[2];
-      const close = m[3];
-      // daysSpec can be "Mo-Fr", "Tu,Th", "Mo"
-      const chunks = daysSpec.split(',').map(x=>x.trim()).filter(Boolean);
-      if (chunks.length === 0) chunks.push(dayToken);
-      for (const ch of chunks){
-        if (tokenCoversDay(ch)) return { open, close };
-      }
-    } else if (new RegExp(`\\b${dayToken}\\b`).test(rule) && /\boff\b/i.test(rule)) {
-      return null; // explicitly closed
+  }
+  PH_CACHE.set(key, out);
+  return out;
+}
+
+function isoWeek(ms){
+  const d = new Date(ms);
+  const wd = (d.getUTCDay() + 6) % 7;           // Mo=0
+  const thu = ms + (3 - wd) * 86400000;         // week belongs to its Thursday's year
+  const jan1 = Date.UTC(new Date(thu).getUTCFullYear(), 0, 1);
+  return 1 + Math.floor((thu - jan1) / (7 * 86400000));
+}
+
+function ohMinutes(hhmm){
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm);
+  return m ? (+m[1]) * 60 + (+m[2]) : NaN;
+}
+
+function ohHhmm(min){
+  return `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+}
+
+// Parse one rule into selectors; returns null if any part is not understood.
+function parseOhRule(text){
+  const comment = /"[^"]*"/.test(text);
+  let s = text.replace(/"[^"]*"/g, ' ').replace(/\s+/g, ' ').trim();
+  const rule = { years:null, dates:null, weeks:null, days:null, times:null, off:false };
+  const eat = (re) => { const m = re.exec(s); if (m) s = s.slice(m[0].length).trim(); return m; };
+
+  if (eat(/^24\s*\/\s*7/)) { rule.times = [[0, 1440]]; }
+
+  let m;
+  while ((m = eat(/^(\d{4})(?:\s*-\s*(\d{4}))?(?![\d:])\s*,?/))) {
+    (rule.years ||= []).push([+m[1], +(m[2] || m[1])]);
+  }
+
+  const MON_ITEM = new RegExp(`^(${OH_MON_RE})(?:\\s*(\\d{1,2})(?![\\d:]))?(?:\\s*-\\s*(?:(${OH_MON_RE})(?:\\s*(\\d{1,2})(?![\\d:]))?|(\\d{1,2})(?![\\d:])))?\\s*,?`);
+  while ((m = eat(MON_ITEM))) {
+    const m1 = OH_MONTHS.indexOf(m[1]) + 1;
+    const d1 = m[2] ? +m[2] : null;
+    const m2 = m[3] ? OH_MONTHS.indexOf(m[3]) + 1 : (m[5] ? m1 : null);
+    const d2 = m[4] ? +m[4] : (m[5] ? +m[5] : null);
+    const from = m1 * 100 + (d1 || 1);
+    const to = m2 ? m2 * 100 + (d2 || 31) : m1 * 100 + (d1 || 31);
+    (rule.dates ||= []).push([from, to]);
+  }
+
+  if (eat(/^week\s*/i)) {
+    while ((m = eat(/^(\d{1,2})(?:\s*-\s*(\d{1,2}))?(?:\s*\/\s*(\d{1,2}))?\s*,?/))) {
+      (rule.weeks ||= []).push([+m[1], +(m[2] || m[1]), +(m[3] || 1)]);
     }
+    if (!rule.weeks) return null;
   }
-  return null;
+
+  const DAY_ITEM = new RegExp(`^(?:(PH)|(${OH_DAY_RE})(?:\\s*-\\s*(${OH_DAY_RE}))?(?:\\[([-\\d,\\s]+)\\])?)\\s*,?(?!\\d)`);
+  while ((m = eat(DAY_ITEM))) {
+    rule.days ||= { set: new Set(), ph: false, nth: [] };
+    if (m[1]) { rule.days.ph = true; continue; }
+    const a = OH_DAYS.indexOf(m[2]);
+    const b = m[3] ? OH_DAYS.indexOf(m[3]) : a;
+    const list = [];
+    for (let i = a; ; i = (i + 1) % 7) { list.push(i); if (i === b) break; }
+    if (m[4]) {
+      const nth = m[4].split(',').map(x => parseInt(x, 10));
+      if (nth.some(n => !Number.isFinite(n) || n === 0 || n < -5 || n > 5)) return null;
+      for (const d of list) rule.days.nth.push({ d, nth });
+    } else {
+      for (const d of list) rule.days.set.add(d);
+    }
+  }
+  eat(/^:/); // tolerate "Mo-Fr: 08:00-18:00"
+
+  while ((m = eat(/^(\d{1,2}:\d{2})\s*(?:-\s*(\d{1,2}:\d{2})(\+)?|(\+))\s*,?/))) {
+    const open = ohMinutes(m[1]);
+    let close = m[2] ? ohMinutes(m[2]) : 1440;   // "18:00+" = open end
+    if (!Number.isFinite(open) || !Number.isFinite(close) || open > 1440 || close > 2880) return null;
+    if (close <= open) close += 1440;            // overnight span spills into the next day
+    (rule.times ||= []).push([open, close]);
+  }
+
+  // "unknown" and comment-only rules ("by appointment") are not counted as open.
+  const mod = eat(/^(off|closed|open|unknown)\b/i);
+  if (mod) rule.off = !/^open$/i.test(mod[1]);
+  if (s) return null;
+  if (!mod && comment && !rule.times) rule.off = true;
+  if (!rule.times && !rule.off) rule.times = [[0, 1440]];
+  return rule;
+}
+
+function ohRuleMatches(rule, day, ph){
+  if (rule.years && !rule.years.some(([a, b]) => day.y >= a && day.y <= b)) return false;
+  if (rule.dates) {
+    const md = day.m * 100 + day.d;
+    const hit = rule.dates.some(([a, b]) => a <= b ? (md >= a && md <= b) : (md >= a || md <= b));
+    if (!hit) return false;
+  }
+  if (rule.weeks) {
+    const w = isoWeek(day.ms);
+    if (!rule.weeks.some(([a, b, step]) => w >= a && w <= b && (w - a) % step === 0)) return false;
+  }
+  if (rule.days) {
+    const wd = (new Date(day.ms).getUTCDay() + 6) % 7;
+    let hit = rule.days.set.has(wd) || (rule.days.ph && ph);
+    if (!hit) {
+      const nthFwd = Math.floor((day.d - 1) / 7) + 1;
+      const dim = new Date(Date.UTC(day.y, day.m, 0)).getUTCDate();
+      const nthBack = -(Math.floor((dim - day.d) / 7) + 1);
+      hit = rule.days.nth.some(x => x.d === wd && (x.nth.includes(nthFwd) || x.nth.includes(nthBack)));
+    }
+    if (!hit) return false;
+  }
+  return true;
+}
+
+function parseOpeningHours(oh){
+  if (!oh || typeof oh !== 'string') return null;
+  const rules = [];
+  // "||" = fallback rule; ";" = normal rule (overrides); "," before a new
+  // weekday/month selector = additional rule (adds to the previous ones).
+  const SEP = new RegExp(`(\\|\\||;|(?<=\\d|\\+|off|closed)\\s*,\\s*(?=(?:${OH_DAY_RE}|PH|${OH_MON_RE})\\b))`);
+  const parts = oh.split(SEP);
+  let kind = 'normal';
+  for (const part of parts) {
+    if (part === '||') { kind = 'fallback'; continue; }
+    if (part === ';')  { kind = 'normal'; continue; }
+    if (/^\s*,\s*$/.test(part)) { kind = 'additional'; continue; }
+    if (!part.trim()) continue;
+    const rule = parseOhRule(part);
+    if (!rule) return null;
+    rule.kind = kind;
+    rules.push(rule);
+  }
+  return rules.length ? rules : null;
+}
+
+function ohSubtract(spans, holes){
+  let out = spans;
+  for (const [ha, hb] of holes) {
+    out = out.flatMap(([a, b]) => (hb <= a || ha >= b) ? [[a, b]]
+      : [[a, Math.min(b, ha)], [Math.max(a, hb), b]].filter(([x, y]) => y > x));
+  }
+  return out;
+}
+
+// Raw intervals in minutes for one calendar day; close may exceed 1440 (overnight).
+function ohRawDay(rules, day, state){
+  const ph = germanHolidays(day.y, state).has(`${String(day.m).padStart(2,'0')}-${String(day.d).padStart(2,'0')}`);
+  let cur = [];
+  let matched = false;
+  for (const r of rules) {
+    if (r.kind === 'fallback' && matched) continue;
+    if (!ohRuleMatches(r, day, ph)) continue;
+    const keep = r.kind === 'additional' && matched;
+    if (!r.off) cur = keep ? cur.concat(r.times) : r.times.slice();
+    else if (!r.times) cur = [];
+    else cur = ohSubtract(keep ? cur : (matched ? cur : []), r.times); // "12:00-14:00 off" closes just that span
+    matched = true;
+  }
+  return { intervals: cur, holiday: ph };
+}
+
+// Every open interval on calendar day {y,m,d}, including spill-over from the
+// previous day's overnight spans. Returns null when the value can't be parsed.
+function openingIntervalsForDay(oh, { y, m, d }, { state = DEFAULT_STATE } = {}){
+  const rules = parseOpeningHours(oh);
+  if (!rules) return null;
+  const ms = Date.UTC(y, m - 1, d);
+  const prevMs = ms - 86400000;
+  const prev = new Date(prevMs);
+  const today = ohRawDay(rules, { y, m, d, ms }, state);
+  const yesterday = ohRawDay(rules, { y: prev.getUTCFullYear(), m: prev.getUTCMonth() + 1, d: prev.getUTCDate(), ms: prevMs }, state);
+
+  const spans = [];
+  for (const [a, b] of yesterday.intervals) if (b > 1440) spans.push([0, b - 1440]);
+  for (const [a, b] of today.intervals) spans.push([a, Math.min(b, 1440)]);
+  spans.sort((p, q) => p[0] - q[0]);
+
+  const merged = [];
+  for (const [a, b] of spans) {
+    const last = merged[merged.length - 1];
+    if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+    else if (b > a) merged.push([a, b]);
+  }
+  return {
+    holiday: today.holiday,
+    intervals: merged.map(([a, b]) => ({ open: ohHhmm(a), close: ohHhmm(b) }))
+  };
+}
+
+function isOpenAt(intervals, minuteOfDay){
+  return (intervals || []).some(iv => minuteOfDay >= ohMinutes(iv.open) && minuteOfDay < ohMinutes(iv.close));
+}
+
+// Unix time of "HH:MM" on the day of ts in tz ("24:00" = next midnight).
+function localTsAt(ts, hhmm, tz = DEFAULT_TZ){
+  const p = zonedParts(ts, tz);
+  const [h, mi] = hhmm.split(':').map(Number);
+  return zonedToUnix(p.y, p.m, p.d, h, mi, 0, tz);
+}
+
+function brandPattern(brand){
+  const b = String(brand || '').trim().toLowerCase();
+  return RENTAL_BRANDS[b] || b.replace(/[^a-z0-9äöüß &+-]/g, '').replace(/[+]/g, '\\+');
+}
+
+// Opening hours of one branch on the day of `ts` in tz.
+function branchHours(branch, ts, state, tz = DEFAULT_TZ){
+  const day = weekdayLocal(ts, tz);
+  const parsed = openingIntervalsForDay(branch.opening_hours, day, { state });
+  // Unparseable or missing hours keep the historical 08:00–20:00 assumption,
+  // but say so; a parsed "closed" day must never be reported as open.
+  const intervals = parsed ? parsed.intervals : [{ open: '08:00', close: '20:00' }];
+  const toHhmm = (v) => v === '24:00' ? '23:59' : v;
+  return {
+    open_hhmm: intervals.length ? intervals[0].open : null,
+    close_hhmm: intervals.length ? toHhmm(intervals[intervals.length - 1].close) : null,
+    intervals,
+    closed: intervals.length === 0,
+    holiday: parsed ? parsed.holiday : null,
+    hours_source: parsed ? 'parsed' : 'default'
+  };
 }
 
-async function findSixtNear({lat, lng}, ts){
-  // 2km search radius; includes node/way/relation with brand/operator "Sixt"
-  const radius = 2000;
-  const q = `
+// N nearest car_rental POIs of the given brands. null = Overpass unavailable.
+async function findBranchesNear({lat, lng}, ts, { brands = ['sixt'], radius = 2000, limit = 1, state = DEFAULT_STATE, tz = DEFAULT_TZ } = {}){
+  const names = [...new Set(brands.map(b => String(b).trim().toLowerCase()).filter(Boolean))].sort();
+  const re = names.map(brandPattern).filter(Boolean).join('|');
+  if (!re) return [];
+
+  const key = `${lat.toFixed(5)},${lng.toFixed(5)}|${radius}|${names.join(',')}`;
+  let candidates = await BRANCH_CACHE.get(key);
+
+  if (!candidates) {
+    // node/way/relation tagged amenity= or shop=car_rental with a matching brand/operator
+    const around = `(around:${radius},${lat},${lng})`;
+    const sel = [];
+    for (const kind of ['amenity', 'shop']) {
+      for (const tag of ['brand', 'operator']) sel.push(`  nwr["${kind}"="car_rental"]["${tag}"~"${re}",i]${around};`);
+    }
+    const q = `
 [out:json][timeout:25];
 (
-  node["shop"="car_rental"]["brand"~"(?i)sixt"](around:${radius},${lat},${lng});
-  node["shop"="car_rental"]["operator"~"(?i)sixt"](around:${radius},${lat},${lng});
-  way["shop"="car_rental"]["brand"~"(?i)sixt"](around:${radius},${lat},${lng});
-  way["shop"="car_rental"]["operator"~"(?i)sixt"](around:${radius},${lat},${lng});
-  relation["shop"="car_rental"]["brand"~"(?i)sixt"](around:${radius},${lat},${lng});
-  relation["shop"="car_rental"]["operator"~"(?i)sixt"](around:${radius},${lat},${lng});
+${sel.join('\n')}
 );
-out center 20;
-  `.trim();
-
-  const key = `${lat.toFixed(5)},${lng.toFixed(5)}|${Math.floor(ts/86400)}`;
-  const cached = lruGet(SIXT_CACHE, key);
-  if (cached) return cached;
-
-  const r = await fetch(OSM_OVERPASS_URL, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded;charset=UTF-8' },
-    body: new URLSearchParams({ data: q }).toString()
-  }).catch(()=>null);
-
-  if (!r || !r.ok) return null;
-  const j = await r.json().catch(()=>null);
-  const elements = j?.elements || [];
-  if (!elements.length) return null;
-
-  // Map to (lat,lng)
-  const candidates = elements.map(e => {
-    const cen = e.center || e; // node has lat/lon; way/relation has center
-    const name = e.tags?.name || e.tags?.brand || e.tags?.operator || 'Sixt';
-    const oh = e.tags?.opening_hours || '';
-    return {
-      lat: cen.lat, lng: cen.lon, name, opening_hours: oh,
-      dist: haversineKm(lat, lng, cen.lat, cen.lon)
-    };
-  }).sort((a,b)=>a.dist-b.dist);
-
-  const nearest = candidates[0];
-  const { token } = weekdayLocal(ts);
-  const parsed = parseOpeningHoursForDay(nearest.opening_hours, token);
-  const val = {
-    lat: nearest.lat, lng: nearest.lng, name: nearest.name,
-    open_hhmm: parsed?.open || '08:00',
-    close_hhmm: parsed?.close || '20:00'
-  };
-  lruSet(SIXT_CACHE, key, val, SIXT_CACHE_MAX);
-  return val;
+out center 200;
+    `.trim();
+
+    const r = await upstreamFetch('overpass', OSM_OVERPASS_URL, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+      body: new URLSearchParams({ data: q }).toString()
+    }).catch(()=>null);
+
+    if (!r || !r.ok) return null;
+    const j = await r.json().catch(()=>null);
+    if (!j) return null;
+
+    const brandRes = names.map(n => [n, new RegExp(brandPattern(n), 'i')]);
+    candidates = (j.elements || []).map(e => {
+      const cen = e.center || e; // node has lat/lon; way/relation has center
+      const label = `${e.tags?.brand || ''} ${e.tags?.operator || ''} ${e.tags?.name || ''}`;
+      const brand = (brandRes.find(([, rx]) => rx.test(label)) || [names[0]])[0];
+      return {
+        brand,
+        name: e.tags?.name || e.tags?.brand || e.tags?.operator || brand,
+        lat: cen.lat, lng: cen.lon,
+        distance_m: Math.round(haversineKm(lat, lng, cen.lat, cen.lon) * 1000),
+        osm_type: e.type, osm_id: e.id,
+        opening_hours: e.tags?.opening_hours || null
+      };
+    }).filter(c => Number.isFinite(c.lat) && Number.isFinite(c.lng))
+      .sort((a,b)=>a.distance_m-b.distance_m);
+
+    await BRANCH_CACHE.set(key, candidates);
+  }
+
+  return candidates.slice(0, limit).map(c => ({ ...c, ...branchHours(c, ts, state, tz) }));
+}
+
+// Nearest Sixt within 2 km — the original lookup, kept for /sixt_opening.
+async function findSixtNear({lat, lng}, ts, { state = DEFAULT_STATE, tz = DEFAULT_TZ } = {}){
+  const found = await findBranchesNear({ lat, lng }, ts, { brands: ['sixt'], radius: 2000, limit: 1, state, tz });
+  const nearest = found?.[0];
+  if (!nearest) return null;
+  const { brand, distance_m, osm_type, osm_id, ...rest } = nearest;
+  return rest;
 }
 
 // TTL-aware LRU helpers (backwards compatible)
@@ -317,192 +1378,1816 @@ async function inflight(key, bag, maker){
 // ─────────────────────────────────────────────────────────────────────────────
 // HERE Public Transit (v8)
 // ─────────────────────────────────────────────────────────────────────────────
-async function hereTransitOnce({ origin, destination, ts, mode, dticket }) {
+async function hereTransitOnce({ origin, destination, ts, mode, dticket, alternatives, excludeModes, full }) {
   const base = 'https://transit.router.hereapi.com/v8/routes';
   const p = new URLSearchParams({
     apiKey: HERE_API_KEY,
     origin: `${origin.lat},${origin.lng}`,
     destination: `${destination.lat},${destination.lng}`,
     [mode === 'arrive' ? 'arrivalTime' : 'departureTime']: toIso(ts),
-    alternatives: '0',
-    return: 'travelSummary,intermediate,fares'
+    alternatives: String(Math.max(0, Math.min(MAX_HERE_ALTERNATIVES, alternatives || 0))),
+    return: ['travelSummary', 'intermediate', 'fares', full && 'polyline'].filter(Boolean).join(',')
   });
+  if (excludeModes?.length) p.set('modes', excludeModes.map(m => `-${m}`).join(','));
 
-  const r = await fetch(`${base}?${p.toString()}`);
+  const r = await upstreamFetch('here', `${base}?${p.toString()}`);
   if (!r.ok) return { ok:false, status:'HTTP_ERROR', code:r.status };
 
-  const j = await r.json();
-  const route = j.routes && j.routes[0];
+  return parseTransitResponse(await r.json(), dticket);
+}
+
+// HERE Transit v8 response body → first usable route (+ all usable ones in `routes`).
+function parseTransitResponse(j, dticket) {
+  if (!j?.routes?.[0]?.sections?.length) return { ok:false, status:'ZERO_RESULTS' };
+
+  // HERE lists the requested route first, alternatives after it. Keep every
+  // usable one; the first rejection explains the failure if none survive.
+  const parsed = j.routes.map(route => parseTransitRoute(route, dticket));
+  const routes = parsed.filter(x => x.ok);
+  if (!routes.length) return parsed[0];
+
+  return { ...routes[0], routes };
+}
+
+// HERE's departure/arrival `time` already includes `delay` (seconds) when realtime
+// data exists; the timetable time is time − delay. `status` marks cancellations.
+function eventTimes(ev) {
+  const t = ev?.time ? Math.floor(Date.parse(ev.time)/1000) : null;
+  const delay = Number.isFinite(ev?.delay) ? ev.delay : null;
+  return { planned: t != null && delay != null ? t - delay : t, rt: delay != null ? t : null, delay };
+}
+
+// HERE fare → { id, name, price, currency, estimated }; ranges report their minimum.
+function mapFare(f) {
+  const p = f?.price;
+  const value = p?.type === 'range' ? p.minimum : p?.value;
+  if (!Number.isFinite(value)) return null;
+  return {
+    id: f.id || null, name: f.name || null, price: value,
+    max_price: p.type === 'range' ? p.maximum : undefined,
+    currency: p.currency || null,
+    estimated: !!(p.estimated || p.type === 'range')
+  };
+}
+
+// One ticket valid over several sections is repeated under the same id in each of
+// them, so the total counts every id once. Route-level fares (db-rest) apply whole.
+function routeFare(route, transit) {
+  const tickets = new Map();
+  (route.fares || []).map(mapFare).filter(Boolean).forEach((f, i) => tickets.set(f.id || `route:${i}`, f));
+  transit.forEach((d, i) => d.fares.forEach((f, j) => tickets.set(f.id || `${i}:${j}`, f)));
+  if (!tickets.size) return null;
+  const list = [...tickets.values()];
+  const currencies = new Set(list.map(f => f.currency));
+  const total = currencies.size === 1 ? Math.round(list.reduce((a, f) => a + f.price, 0) * 100) / 100 : null;
+  return {
+    total, currency: currencies.size === 1 ? list[0].currency : null,
+    estimated: list.some(f => f.estimated),
+    // false when some ride has no price at all, i.e. the total is a lower bound
+    complete: !!route.fares?.length || transit.every(d => d.fares.length > 0),
+    tickets: list
+  };
+}
+
+// HERE place → stop/point with coordinates; kept for detail=full.
+const mapPlace = (pl) => pl ? {
+  name: pl.name || null,
+  id: pl.id || null,
+  type: pl.type || null,
+  lat: pl.location?.lat ?? pl.originalLocation?.lat ?? null,
+  lng: pl.location?.lng ?? pl.originalLocation?.lng ?? null,
+  platform: pl.platform || null
+} : null;
+
+const mapNotices = (list) => (list || []).map(n => ({
+  title: n.title || n.text || '', code: n.code || null, severity: n.severity || 'info'
+}));
+
+function parseTransitRoute(route, dticket) {
   if (!route?.sections?.length) return { ok:false, status:'ZERO_RESULTS' };
 
-  let violatesDTicket = false;
   let durationSec = 0;
   let firstDep = null;
   let lastArr  = null;
-  
-  for (const s of route.sections) {
-    const catLower  = String(s?.transport?.category || s?.transport?.mode || '').toLowerCase().trim();
-    const nameLower = String(s?.transport?.name || s?.transport?.shortName || '').toLowerCase();
-    if (dticket) {
-      if (NON_D_TICKET_PRODUCTS.has(catLower)) {
-        violatesDTicket = true;
-      }
-      // Also catch common brand names if category is missing/misclassified
-      if (/(^|\s)(ice|tgv|ece|ec|ic|rj|railjet|nj)(\s|$)/i.test(nameLower)) {
-        violatesDTicket = true;
-      }
-    }
+  let firstDepRt = null;
+  let lastArrRt  = null;
 
+  for (const s of route.sections) {
     const sec = s?.summary?.duration;
     if (Number.isFinite(sec)) durationSec += sec;
 
-    const depIso = s?.departure?.time;
-    const arrIso = s?.arrival?.time;
-    const dep = depIso ? Date.parse(depIso) : null;
-    const arr = arrIso ? Date.parse(arrIso) : null;
-    if (dep && (firstDep == null || dep < firstDep)) firstDep = dep;
-    if (arr && (lastArr == null || arr > lastArr))   lastArr  = arr;
+    const dep = eventTimes(s?.departure);
+    const arr = eventTimes(s?.arrival);
+    if (dep.planned != null && (firstDep == null || dep.planned < firstDep)) { firstDep = dep.planned; firstDepRt = dep.rt; }
+    if (arr.planned != null && (lastArr == null || arr.planned > lastArr))   { lastArr = arr.planned; lastArrRt = arr.rt; }
   }
 
   if ((!durationSec || durationSec <= 0) && firstDep && lastArr && lastArr > firstDep) {
-    durationSec = Math.round((lastArr - firstDep) / 1000);
+    durationSec = lastArr - firstDep;
   }
 
-  if (dticket && violatesDTicket) {
-    return { ok:false, status:'REJECTED_D_TICKET' };
+  const violations = dticketViolations(route.sections);
+  if (dticket) {
+    if (violations.length) {
+      // Only long-distance modes are worth excluding on a retry; a misclassified
+      // regional train or a border stop shares its mode with valid connections.
+      const exclude_modes = [...new Set(violations.map(v => v.mode)
+        .filter(m => m && DTICKET_RULES.products.includes(m.toLowerCase())))];
+      return { ok:false, status:'REJECTED_D_TICKET', violations, exclude_modes };
+    }
   }
 
   const details = route.sections.map(s => {
-    const depIso = s?.departure?.time;
-    const arrIso = s?.arrival?.time;
-    const dep = depIso ? Math.floor(Date.parse(depIso)/1000) : null;
-    const arr = arrIso ? Math.floor(Date.parse(arrIso)/1000) : null;
+    const dep = eventTimes(s?.departure);
+    const arr = eventTimes(s?.arrival);
 
-    if (s.transport) {
+    // HERE gives walks a transport too ({ mode:'pedestrian' }), so go by section type.
+    if (s.transport && s.type !== 'pedestrian' && s.transport.mode !== 'pedestrian') {
       return {
         type: 'TRANSIT',
         line: s.transport?.name || s.transport?.shortName || s.transport?.mode || '',
         agency: s.transport?.operator || '',
         from: s.departure?.place?.name || '',
         to:   s.arrival?.place?.name || '',
-        dep, arr,
-        product: s.transport?.category || s.transport?.mode || ''
+        dep: dep.planned, arr: arr.planned,
+        product: s.transport?.category || s.transport?.mode || '',
+        dep_rt: dep.rt, arr_rt: arr.rt,
+        dep_delay: dep.delay, arr_delay: arr.delay,
+        platform_dep: s.departure?.place?.platform || null,
+        platform_arr: s.arrival?.place?.platform || null,
+        cancelled: s.departure?.status === 'cancelled' || s.arrival?.status === 'cancelled',
+        notices: mapNotices(s.notices),
+        fares: (s.fares || []).map(mapFare).filter(Boolean),
+        headsign: s.transport?.headsign || null,
+        from_stop: mapPlace(s.departure?.place),
+        to_stop: mapPlace(s.arrival?.place),
+        intermediate: (s.intermediateStops || []).map(st => ({
+          ...mapPlace(st.departure?.place || st.arrival?.place),
+          dep: eventTimes(st.departure).planned,
+          arr: eventTimes(st.arrival).planned
+        })),
+        polyline: s.polyline || null
       };
     }
-    const dur = s?.summary?.duration || (dep && arr ? Math.max(0, Math.round((arr - dep)/1000)) : null);
+    const dur = s?.summary?.duration || (dep.planned && arr.planned ? Math.max(0, arr.planned - dep.planned) : null);
     const dist = s?.summary?.length ?? null;
-    return { type: 'WALK', duration_sec: dur, distance_m: dist };
+    return {
+      type: 'WALK', duration_sec: dur, distance_m: dist,
+      dep: dep.planned, arr: arr.planned,
+      from_place: mapPlace(s.departure?.place),
+      to_place: mapPlace(s.arrival?.place),
+      polyline: s.polyline || null
+    };
   });
 
+  const transit = details.filter(d => d.type === 'TRANSIT');
+  const firstRide = details.findIndex(d => d.type === 'TRANSIT');
+  const walkIn = details.slice(0, firstRide < 0 ? details.length : firstRide);
   return {
     ok:true,
     durationSec: durationSec || 0,
-    depart: firstDep ? Math.floor(firstDep/1000) : null,
-    arrive: lastArr  ? Math.floor(lastArr/1000)  : null,
+    depart: firstDep,
+    arrive: lastArr,
+    // Realtime view: null where the provider had no live data for that end.
+    depart_rt: firstDepRt,
+    arrive_rt: lastArrRt,
+    delay_sec: lastArrRt != null ? lastArrRt - lastArr : null,
+    realtime: transit.some(d => d.dep_delay != null || d.arr_delay != null),
+    cancelled: transit.some(d => d.cancelled),
+    notices: [...mapNotices(route.notices), ...transit.flatMap(d => d.notices)],
+    provider_ref: route.refresh_token || undefined,
+    fare: routeFare(route, transit),
+    dticket_valid: !violations.length,
+    walk_to_first_stop: {
+      distance_m: walkIn.reduce((a, d) => a + (d.distance_m || 0), 0),
+      duration_sec: walkIn.reduce((a, d) => a + (d.duration_sec || 0), 0)
+    },
     details
   };
 }
 
-async function hereTransitOnceCached(args){
-  const { origin, destination, ts, mode, dticket } = args;
-  const key = `${origin.lat.toFixed(5)},${origin.lng.toFixed(5)}|${destination.lat.toFixed(5)},${destination.lng.toFixed(5)}|${mode}|${ts}|${dticket?'1':'0'}`;
-  const cached = lruGet(TRN_CACHE, key);
-  if (cached) return cached;
+// realtime: a cached answer older than REALTIME_MAX_AGE_SEC is fetched again.
+// fresh: always ask the provider (the answer still refreshes the cache).
+async function transitOnceCached(args){
+  const prov = getProvider(args.provider);
+  const { origin, destination, ts, mode, dticket, alternatives, excludeModes, realtime, full, fresh } = args;
+  const key = `${prov.name}|${origin.lat.toFixed(5)},${origin.lng.toFixed(5)}|${destination.lat.toFixed(5)},${destination.lng.toFixed(5)}|${mode}|${ts}|${dticket?'1':'0'}|${alternatives||0}|${(excludeModes||[]).join(',')}${full ? '|full' : ''}`;
+  const cached = await TRN_CACHE.get(key);
+  if (cached && !fresh && !(realtime && nowUnix() - (cached.fetched_at || 0) > REALTIME_MAX_AGE_SEC)) {
+    if (!cached.ok) note(`transit_cached_${cached.status}`);
+    return cached;
+  }
   return await inflight(key, TRN_INFLIGHT, async () => {
-    const r = await hereTransitOnce(args);
-    const ttl = r && r.ok === false ? TRN_NEG_TTL_MS : undefined;
-    lruSet(TRN_CACHE, key, r, TRN_CACHE_MAX, ttl);
+    const r = { ...(await callProvider(prov, 'transit', args)), fetched_at: nowUnix() };
+    // Only real answers are cached; HTTP_ERROR (429, timeouts…) is retried next time.
+    if (r && r.status !== 'HTTP_ERROR') await TRN_CACHE.set(key, r, r.ok === false ? TRN_NEG_TTL_MS : undefined);
     return r;
   });
 }
 
-async function sweepTransit({ origin, destination, baseTs, mode, windowMin, stepMin, dticket, debug }) {
-  // Cap probes to keep things fast
-  const MAX_PROBES = 8; // <=8 requests per sweep
-  const effStep = Math.max(stepMin || 10, Math.ceil((windowMin || 60) / MAX_PROBES));
-
-  const startOff = (mode === 'arrive') ? -windowMin : 0;
-  const endOff   = (mode === 'arrive') ? 0          : windowMin;
-
-  const candidates = [];
-  for (let m = startOff; m <= endOff; m += effStep) candidates.push(baseTs + m*60);
-  if (candidates.length === 0) candidates.push(baseTs);
+// Sort key for sweep results, compared element-wise (lower ranks first).
+// arrive: on time first, then the latest departure, then shorter.
+// depart: not before baseTs, then the earliest arrival, then shorter.
+// realtime judges by the live arrival where known.
+function sweepScore(r, { mode, baseTs, realtime }) {
+  const arr = realtime ? (r.arrive_rt ?? r.arrive) : r.arrive;
+  if (mode === 'arrive') return [arr != null && arr <= baseTs ? 0 : 1, -(r.depart ?? -1e12), r.durationSec || 9e15];
+  const dep = r.depart ?? r.ts;
+  return [dep < baseTs ? 1 : 0, arr ?? 9e15, r.durationSec || 9e15];
+}
 
-  const trace = [];
-  const worker = async (ts) => {
-    const r = await hereTransitOnceCached({ origin, destination, ts, mode, dticket });
-    if (debug) trace.push({ ts, status: r.ok ? 'OK' : r.status, code: r.code || null, mode });
-    return r.ok ? { ...r, ts } : null;
+// Adaptive search over the window. Each probe's returned departure/arrival times
+// decide where to look next, so dead periods cost nothing and no fixed grid can
+// step over the connection that matters:
+//   depart  — probe at baseTs (the router already returns the earliest arrival);
+//             for alternatives, jump just past the last departure returned.
+//   arrive  — probe arrive-by the deadline, then narrow (lo, hi) where lo is the
+//             latest on-time departure returned and departing at hi or later arrives
+//             late. The best connection's slack says where a trip as long could still
+//             leave; otherwise probe just after lo. It ends when no minute is left
+//             between lo and hi, so latest_departure is always a returned departure.
+// debug=1 puts each probe in `trace` with the reason it was chosen. Probes run one
+// after another, so a sweep stops starting new ones after SWEEP_MAX_MS.
+const SWEEP_RESOLUTION_SEC = 60;
+const SWEEP_MAX_MS = parseInt(process.env.SWEEP_MAX_MS || '', 10) || 8000;
+
+async function sweepTransit({ origin, destination, baseTs, mode, windowMin, dticket, debug, alternatives, provider, realtime, full }) {
+  // Cap probes to keep things fast; fewer once the provider's daily quota runs low.
+  const up = getProvider(provider)?.upstream;
+  const low = up && quotaState(up).level !== 'ok';
+  const MAX_PROBES = low ? SWEEP_LOW_QUOTA_PROBES : 8; // <=8 requests per sweep
+  const wanted  = Math.max(1, Math.min(MAX_ALTERNATIVES, alternatives || 1));
+  const windowSec = Math.max(0, windowMin || 0) * 60;
+  const hhmm = (ts) => toIso(ts).slice(11, 16) + 'Z';
+
+  const trace = (low && debug) ? [{ note: `${up} quota low: probes capped at ${MAX_PROBES}` }] : [];
+  const rejections = [];
+  const upstreamErrors = [];
+  const results = [];
+  let probes = 0;
+  const started = Date.now();
+  const more = () => probes < MAX_PROBES && Date.now() - started < SWEEP_MAX_MS;
+
+  const probe = async (ts, qmode, why) => {
+    probes++;
+    const args = { origin, destination, ts, mode: qmode, dticket, alternatives: wanted - 1, provider, realtime, full };
+    let r = await transitOnceCached(args);
+    let excluded;
+    // D-Ticket rejection: ask again without the offending long-distance modes.
+    if (r.status === 'REJECTED_D_TICKET') {
+      rejections.push(...r.violations);
+      countRejection(r.violations);
+      if (debug) trace.push({ ts, mode: qmode, why, status: r.status, code: null, violations: r.violations });
+      excluded = r.exclude_modes;
+      if (!excluded?.length) return [];
+      why = 'retry without modes the D-Ticket does not cover';
+      r = await transitOnceCached({ ...args, excludeModes: excluded });
+      if (r.status === 'REJECTED_D_TICKET') { rejections.push(...r.violations); countRejection(r.violations); }
+      if (r.ok) r = { ...r, routes: (r.routes || [r]).map(x => ({ ...x, excluded_modes: excluded })) };
+    }
+    if (r.status === 'HTTP_ERROR') upstreamErrors.push(r.code);
+    const routes = r.ok ? (r.routes || [r]).filter(x => !(realtime && x.cancelled)).map(x => ({ ...x, ts, provider: r.provider })) : [];
+    results.push(...routes);
+    if (debug) trace.push({
+      ts, mode: qmode, why, status: r.ok ? 'OK' : r.status, code: r.code || null, excluded,
+      violations: r.ok ? undefined : r.violations,
+      found: routes.map(x => ({ depart: x.depart, arrive: x.arrive }))
+    });
+    return routes;
   };
 
-// Run in a small pool to increase throughput without hammering the API
-  const results = (await runPool(candidates, 4, worker)).filter(Boolean);
-  if (!results.length) return { ok:false, status:'ZERO_RESULTS', trace };
-
-  // Prefer "arrive as close as possible to baseTs (not later)", then shorter
-  // For depart-after: prefer the earliest depart >= baseTs, then shorter
-  function score(r) {
-    if (mode === 'arrive') {
-      const arr = r.arrive ?? 0;
-      const tooLate = arr > baseTs ? 1 : 0;                // disqualify if after target
-      const earliness = arr <= baseTs ? (baseTs - arr) : 1e12;
-      return [tooLate, earliness, r.durationSec || 9e15];
-    } else {
-      const dep = r.depart ?? r.ts;
-      const beforeBase = dep < baseTs ? 1 : 0;             // penalize departing before base
-      const wait = dep >= baseTs ? (dep - baseTs) : 1e12;  // smaller wait is better
-      return [beforeBase, wait, r.durationSec || 9e15];
+  // realtime: judge and rank by the live arrival where known; cancelled trips are dropped above.
+  const arrOf = (x) => realtime ? (x.arrive_rt ?? x.arrive) : x.arrive;
+  const onTime = (x) => arrOf(x) != null && arrOf(x) <= baseTs;
+  const finish = (out) => {
+    metricObserve('proxy_sweep_probes', 'Upstream probes per sweep', { mode }, probes, [1, 2, 3, 4, 5, 6, 7, 8]);
+    metricInc('proxy_sweeps_total', 'Sweeps by mode and outcome', { mode, status: out.ok ? 'OK' : out.status });
+    return out;
+  };
+  const distinct = (list) => new Set(list.map(x => `${x.depart}|${x.arrive}`)).size;
+
+  if (mode === 'arrive') {
+    const floor = baseTs - windowSec;
+    const latestOnTime = (list) => list.filter(x => onTime(x) && x.depart != null)
+      .reduce((b, x) => (!b || x.depart > b.depart ? x : b), null);
+    await probe(baseTs, 'arrive', `arrive by ${hhmm(baseTs)}`);
+    let loConn = latestOnTime(results);
+    if (!loConn && !upstreamErrors.length && more()) {
+      await probe(floor, 'depart', `nothing arrives by ${hhmm(baseTs)}; earliest from window start ${hhmm(floor)}`);
+      loConn = latestOnTime(results);
+    }
+    // (lo, hi): lo departs and arrives on time; the router's earliest arrival for any
+    // departure from hi on is late. Done once only lo's own minute is left.
+    let hi = baseTs;
+    while (loConn && more() && hi - loConn.depart > SWEEP_RESOLUTION_SEC) {
+      const lo = loConn.depart;
+      const jump = Math.floor((lo + baseTs - arrOf(loConn)) / 60) * 60;   // same trip length, zero slack
+      const t = jump > lo + SWEEP_RESOLUTION_SEC && jump < hi ? jump : lo + SWEEP_RESOLUTION_SEC;
+      const found = await probe(t, 'depart', t === jump
+        ? `${Math.round((baseTs - arrOf(loConn)) / 60)} min slack: could a trip as long leave at ${hhmm(t)}?`
+        : `anything after ${hhmm(lo)} still on time?`);
+      if (!found.length && upstreamErrors.length) break;
+      const best = latestOnTime(found);
+      if (best && best.depart > lo) loConn = best;
+      else hi = t;                // the earliest arrival departing from t on is late
     }
+    // Alternatives: step back before the earliest on-time arrival seen so far.
+    while (more() && distinct(results.filter(onTime)) < wanted && !upstreamErrors.length) {
+      const earliest = Math.min(...results.filter(onTime).map(arrOf));
+      if (!Number.isFinite(earliest) || earliest - 60 < floor) break;
+      const before = distinct(results.filter(onTime));
+      await probe(earliest - 60, 'arrive', `alternative: arrive before ${hhmm(earliest)}`);
+      if (distinct(results.filter(onTime)) === before) break;
+    }
+  } else {
+    const ceiling = baseTs + windowSec;
+    let t = baseTs, why = `depart from ${hhmm(baseTs)}`;
+    while (more() && t <= ceiling) {
+      const found = await probe(t, 'depart', why);
+      if (!found.length || distinct(results) >= wanted) break;
+      const lastDep = Math.max(...found.map(x => x.depart ?? x.ts));
+      t = Math.max(t, lastDep) + 60;
+      why = `alternative: jump past last departure ${hhmm(lastDep)}`;
+    }
+  }
+
+  if (!results.length) {
+    const seenV = new Set();
+    const violations = rejections.filter(v => {
+      const k = `${v.rule}|${v.line}|${v.from}|${v.to}`;
+      return seenV.has(k) ? false : (seenV.add(k), true);
+    });
+    // Every probe failing upstream (429, timeouts) is an outage, not an empty window.
+    const status = violations.length ? 'REJECTED_D_TICKET'
+                 : upstreamErrors.length === probes ? 'HTTP_ERROR' : 'ZERO_RESULTS';
+    return finish({ ok:false, status, code: upstreamErrors[0], violations, trace });
   }
 
   results.sort((a,b) => {
-    const sa = score(a), sb = score(b);
+    const sa = sweepScore(a, { mode, baseTs, realtime }), sb = sweepScore(b, { mode, baseTs, realtime });
     for (let i=0;i<sa.length;i++){ if (sa[i]!==sb[i]) return sa[i]-sb[i]; }
     return 0;
   });
 
-  return { ok:true, best: results[0], trace };
+  // Several probes often return the same connection; keep the best-ranked copy.
+  const seen = new Set();
+  const ranked = [];
+  for (const r of results) {
+    const lines = (r.details || []).filter(d => d.type === 'TRANSIT').map(d => d.line).join('>');
+    const key = `${r.depart}|${lines}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const dep = r.depart ?? r.ts;
+    ranked.push({
+      ...r,
+      rank: ranked.length + 1,
+      ranked_by: realtime ? `${mode}_realtime` : mode,
+      score: mode === 'arrive'
+        ? { on_time: onTime(r), margin_sec: onTime(r) ? baseTs - arrOf(r) : (arrOf(r) ?? 0) - baseTs }
+        : { on_time: dep >= baseTs, wait_sec: dep - baseTs }
+    });
+    if (ranked.length >= wanted) break;
+  }
+
+  const best = ranked[0];
+  return finish({
+    ok:true, best, ranked, trace, probes,
+    latest_departure: mode === 'arrive' && best.score.on_time ? best.depart : null,
+    earliest_arrival: mode === 'depart' ? arrOf(best) : null
+  });
+}
+
+function countRejection(violations){
+  note('dticket_rejected');
+  for (const v of violations || []) metricInc('proxy_dticket_rejections_total', 'D-Ticket violations found in candidate routes, by rule', { rule: v.rule });
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Routes
+// HERE Car Routing (v8)
 // ─────────────────────────────────────────────────────────────────────────────
-app.get('/health', (_, res) => res.json({ ok: true }));
-
-// Find nearest Sixt and its opening window for the given date (free via OSM)
-app.get('/sixt_opening', async (req, res) => {
-  try{
-    const near = (req.query.near || '').trim();
-    const date = parseTs(req.query.date);
-    if (!near) return res.status(400).json({ ok:false, error:'near required' });
+// Vehicle profiles → HERE transportMode (+ vehicle[...] defaults). Vans route as light trucks.
+const DRIVE_PROFILES = {
+  car:   { transportMode: 'car' },
+  van:   { transportMode: 'truck', vehicle: { grossWeight: 3500 } },
+  truck: { transportMode: 'truck', vehicle: { grossWeight: 7500 } }
+};
+const DRIVE_AVOID = { tolls: 'tollRoad', ferries: 'ferry', motorways: 'controlledAccessHighway' };
+
+// opts: departTs | arriveTs (traffic-aware), profile, avoid:['tolls','ferries'],
+//       vehicle:{ grossWeight, height }, polyline
+async function hereDriveOnce({ origin, destination, departTs, arriveTs, profile = 'car', avoid = [], vehicle = {}, polyline = false }) {
+  const base = 'https://router.hereapi.com/v8/routes';
+  const prof = DRIVE_PROFILES[profile] || DRIVE_PROFILES.car;
+  const p = new URLSearchParams({
+    apiKey: HERE_API_KEY,
+    transportMode: prof.transportMode,
+    origin: `${origin.lat},${origin.lng}`,
+    destination: `${destination.lat},${destination.lng}`,
+    return: ['summary', 'typicalDuration', 'tolls', polyline && 'polyline'].filter(Boolean).join(','),
+    routingMode: 'fast',
+    currency: 'EUR'
+  });
+  if (arriveTs != null) p.set('arrivalTime', toIso(arriveTs));
+  else if (departTs != null) p.set('departureTime', toIso(departTs));       // omitted = now
+  const features = avoid.map(a => DRIVE_AVOID[a]).filter(Boolean);
+  if (features.length) p.set('avoid[features]', features.join(','));
+  if (prof.transportMode === 'truck') {
+    const given = Object.entries(vehicle).filter(([, v]) => Number.isFinite(v) && v > 0);
+    for (const [k, v] of Object.entries({ ...prof.vehicle, ...Object.fromEntries(given) })) {
+      p.set(`vehicle[${k}]`, String(Math.round(v)));
+    }
+  }
+
+  const r = await upstreamFetch('here', `${base}?${p.toString()}`);
+  if (!r.ok) return { ok:false, status:'HTTP_ERROR', code:r.status };
+
+  return parseDriveResponse(await r.json());
+}
+
+// HERE Router v8 response body → totals over the first route's sections.
+function parseDriveResponse(j) {
+  const route = j?.routes?.[0];
+  if (!route?.sections?.length) return { ok:false, status:'ZERO_RESULTS' };
+  let dur = 0, base = 0, typical = 0, dist = 0, toll = 0, currency = null;
+  let depart = null, arrive = null;
+  const polylines = [];
+  for (const s of route.sections){
+    const sm = s.summary || {};
+    const sec = sm.duration || 0;
+    if (Number.isFinite(sec)) dur += sec;
+    base    += Number.isFinite(sm.baseDuration) ? sm.baseDuration : sec;
+    typical += Number.isFinite(sm.typicalDuration) ? sm.typicalDuration : (Number.isFinite(sm.baseDuration) ? sm.baseDuration : sec);
+    if (Number.isFinite(sm.length)) dist += sm.length;
+    // One fare per toll system; HERE lists payment alternatives, take the cheapest.
+    for (const t of s.tolls || []) {
+      const prices = (t.fares || []).map(f => f.convertedPrice || f.price).filter(pr => Number.isFinite(pr?.value));
+      if (!prices.length) continue;
+      const cheapest = prices.reduce((a, b) => b.value < a.value ? b : a);
+      toll += cheapest.value;
+      currency = currency || cheapest.currency || null;
+    }
+    const d = s.departure?.time ? Math.floor(Date.parse(s.departure.time) / 1000) : null;
+    const a = s.arrival?.time ? Math.floor(Date.parse(s.arrival.time) / 1000) : null;
+    if (d != null && (depart == null || d < depart)) depart = d;
+    if (a != null && (arrive == null || a > arrive)) arrive = a;
+    if (s.polyline) polylines.push(s.polyline);
+  }
+  return {
+    ok:true,
+    durationSec: dur || 0,
+    baseDurationSec: base || 0,
+    typicalDurationSec: typical || 0,
+    distanceM: dist || null,
+    toll: currency || toll ? { value: Math.round(toll * 100) / 100, currency } : null,
+    depart, arrive,
+    polylines: polylines.length ? polylines : undefined
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Routing providers
+// ─────────────────────────────────────────────────────────────────────────────
+// A provider answers geocode(qClean, iso3), transit(args) and drive(args) in the
+// shapes the HERE functions above return. Pick one per request with ?provider=
+// or globally with ROUTING_PROVIDER; ROUTING_FALLBACK takes over on 403/429.
+const DEFAULT_PROVIDER  = (process.env.ROUTING_PROVIDER || 'here').toLowerCase();
+const FALLBACK_PROVIDER = (process.env.ROUTING_FALLBACK || '').toLowerCase();
+const DBREST_URL  = (process.env.DBREST_URL || 'https://v6.db.transport.rest').replace(/\/+$/, '');
+const OSRM_URL    = (process.env.OSRM_URL || '').replace(/\/+$/, '');
+const ROUTING_FIXTURES = process.env.ROUTING_FIXTURES || '';   // JSON file for the offline provider
+
+const PROVIDERS = {
+  here: {
+    name: 'here',
+    upstream: 'here',
+    configured: () => !!HERE_API_KEY,
+    geocode: hereGeocode,
+    transit: hereTransitOnce,
+    drive: hereDriveOnce
+  },
+  // HAFAS via db-rest (transport.rest); car routing through an OSRM server if OSRM_URL is set.
+  dbrest: {
+    name: 'dbrest',
+    upstream: 'dbrest',
+    configured: () => !!DBREST_URL,
+    geocode: dbrestGeocode,
+    transit: dbrestTransitOnce,
+    refresh: dbrestRefresh,
+    drive: osrmDriveOnce
+  },
+  // Canned upstream responses from ROUTING_FIXTURES — no network at all.
+  fixture: {
+    name: 'fixture',
+    configured: () => !!loadFixtures(),
+    geocode: async (qClean) => {
+      const hit = loadFixtures().geocode?.[qClean.toLowerCase()];
+      return hit ? { ok:true, lat:hit.lat, lng:hit.lng, title:hit.title || qClean }
+                 : { ok:false, status:'ZERO_RESULTS', error:null, tried:qClean };
+    },
+    transit: async ({ dticket }) => parseTransitResponse(loadFixtures().transit, dticket),
+    drive: async () => parseDriveResponse(loadFixtures().drive)
+  }
+};
+
+function getProvider(name){
+  return PROVIDERS[String(name || DEFAULT_PROVIDER).toLowerCase()] || null;
+}
+
+// For route handlers: the provider, or why it can't be used (400 unknown / 500 unconfigured).
+function pickProvider(name){
+  const prov = getProvider(name);
+  if (!prov) return { code:400, error:`unknown provider '${name}' (${Object.keys(PROVIDERS).join(', ')})` };
+  if (!prov.configured()) return { code:500, error:`${prov.name} provider is not configured` };
+  return { prov };
+}
+
+async function callProvider(prov, kind, ...args){
+  const r = await prov[kind](...args);
+  const code = r?.code ?? r?.status;
+  const fb = getProvider(FALLBACK_PROVIDER);
+  if (r && !r.ok && (code === 403 || code === 429) && fb && fb !== prov && fb.configured()) {
+    return { ...(await fb[kind](...args)), provider: fb.name };
+  }
+  return { ...r, provider: prov.name };
+}
+
+async function driveOnce({ provider, ...args }){
+  return await callProvider(getProvider(provider), 'drive', args);
+}
+
+// ─── Connection refresh ───────────────────────────────────────────────────────
+// A refresh_id carries what it takes to find the same connection again: provider,
+// endpoints, timetabled departure, line sequence and, for db-rest, the HAFAS token.
+const lineSeq = (route) => (route.details || []).filter(d => d.type === 'TRANSIT').map(d => d.line).join('>');
+
+function connectionRef(route, { provider, origin, destination, dticket }){
+  const ref = {
+    p: route.provider || provider, o: [origin.lat, origin.lng], d: [destination.lat, destination.lng],
+    t: route.depart, l: lineSeq(route), x: route.excluded_modes, k: dticket ? 1 : 0, r: route.provider_ref
+  };
+  return Buffer.from(JSON.stringify(ref)).toString('base64url');
+}
+
+// connectionRef() back to its fields; null when malformed.
+function parseConnectionRef(id){
+  let ref = null;
+  try { ref = JSON.parse(Buffer.from(String(id), 'base64url').toString('utf8')); } catch { /* fall through */ }
+  return ref?.p && Array.isArray(ref.o) && Array.isArray(ref.d) && Number.isFinite(ref.t) ? ref : null;
+}
+
+// Live state of a connection from connectionRef(); never served from the cache.
+async function refreshConnection(id, { full = false } = {}){
+  const ref = parseConnectionRef(id);
+  if (!ref) return { ok:false, status:'BAD_INPUT', error:'malformed refresh id' };
+  const prov = getProvider(ref.p);
+  if (!prov?.configured()) return { ok:false, status:'CONFIG', error:`provider '${ref.p}' is not available` };
+
+  if (ref.r && prov.refresh) {
+    const r = await prov.refresh(ref.r, !!ref.k);
+    if (r.ok || r.status !== 'NOT_FOUND') return { ...r, provider: prov.name };
+  }
+  // No provider handle: ask again from the timetabled departure and pick the same trip.
+  const r = await callProvider(prov, 'transit', {
+    origin: { lat: ref.o[0], lng: ref.o[1] }, destination: { lat: ref.d[0], lng: ref.d[1] },
+    ts: ref.t - 60, mode: 'depart', dticket: !!ref.k, alternatives: 2, excludeModes: ref.x, full
+  });
+  if (!r.ok) return r;
+  const same = (r.routes || [r]).find(x => x.depart === ref.t && lineSeq(x) === ref.l);
+  return same ? { ...same, provider: r.provider }
+              : { ok:false, status:'NOT_FOUND', error:'connection no longer offered (cancelled or rescheduled)' };
+}
+
+let FIXTURES;
+function loadFixtures(){
+  if (FIXTURES === undefined) {
+    try { FIXTURES = ROUTING_FIXTURES ? JSON.parse(fs.readFileSync(ROUTING_FIXTURES, 'utf8')) : null; }
+    catch (e) { log('error', 'ROUTING_FIXTURES unreadable', { error: e.message }); FIXTURES = null; }
+  }
+  return FIXTURES;
+}
+
+// HAFAS product → HERE transit mode, so the D-Ticket rules apply unchanged.
+const HAFAS_PRODUCT_MODES = {
+  nationalExpress: 'highSpeedTrain',
+  national:        'intercityTrain',
+  regionalExpress: 'regionalTrain',
+  regional:        'regionalTrain',
+  suburban:        'cityTrain',
+  subway:          'subway',
+  tram:            'lightRail',
+  bus:             'bus',
+  ferry:           'ferry',
+  taxi:            'privateBus'
+};
+
+// HAFAS has no match score, so db-rest results are never flagged ambiguous.
+async function dbrestGeocode(qClean) {
+  const p = new URLSearchParams({ query: qClean, results: String(GEOCODE_CANDIDATES), addresses: 'true', poi: 'true', stops: 'true' });
+  const r = await upstreamFetch('dbrest', `${DBREST_URL}/locations?${p.toString()}`);
+  if (!r.ok) return { ok:false, status:r.status, error:`HTTP ${r.status}`, tried:qClean };
+  const j = await r.json();
+  const candidates = (Array.isArray(j) ? j : []).map(it => {
+    const loc = it?.location || it;
+    if (!Number.isFinite(loc?.latitude) || !Number.isFinite(loc?.longitude)) return null;
+    return { lat:loc.latitude, lng:loc.longitude, title:it.name || it.address || qClean, score:null,
+             result_type:it.type || null, address: it.address ? { label: it.address } : null, source:'geocode' };
+  }).filter(Boolean);
+  if (!candidates.length) return { ok:false, status:'ZERO_RESULTS', error:null, tried:qClean };
+  const { lat, lng, title, result_type } = candidates[0];
+  return { ok:true, lat, lng, title, score:null, result_type, source:'geocode', candidates };
+}
+
+async function dbrestTransitOnce({ origin, destination, ts, mode, dticket, alternatives, excludeModes }) {
+  const p = new URLSearchParams({
+    'from.latitude': String(origin.lat), 'from.longitude': String(origin.lng), 'from.address': `${origin.lat},${origin.lng}`,
+    'to.latitude': String(destination.lat), 'to.longitude': String(destination.lng), 'to.address': `${destination.lat},${destination.lng}`,
+    [mode === 'arrive' ? 'arrival' : 'departure']: toIso(ts),
+    results: String(1 + Math.max(0, Math.min(MAX_HERE_ALTERNATIVES, alternatives || 0))),
+    stopovers: 'true',
+    remarks: 'true'
+  });
+  for (const [product, hereMode] of Object.entries(HAFAS_PRODUCT_MODES)) {
+    if (excludeModes?.includes(hereMode)) p.set(product, 'false');
+  }
+
+  const r = await upstreamFetch('dbrest', `${DBREST_URL}/journeys?${p.toString()}`);
+  if (!r.ok) return { ok:false, status:'HTTP_ERROR', code:r.status };
+  const j = await r.json();
+  return parseTransitResponse({ routes: (j.journeys || []).map(hafasJourneyToRoute) }, dticket);
+}
+
+// Re-fetch one journey by its HAFAS refresh token (live delays, cancellations).
+async function dbrestRefresh(token, dticket) {
+  const p = new URLSearchParams({ stopovers: 'true', remarks: 'true' });
+  const r = await upstreamFetch('dbrest', `${DBREST_URL}/journeys/${encodeURIComponent(token)}?${p.toString()}`);
+  if (r.status === 404) return { ok:false, status:'NOT_FOUND' };
+  if (!r.ok) return { ok:false, status:'HTTP_ERROR', code:r.status };
+  const j = await r.json();
+  return parseTransitResponse({ routes: j.journey ? [hafasJourneyToRoute(j.journey)] : [] }, dticket);
+}
+
+// db-rest journey → HERE-shaped route { sections:[…] }
+function hafasJourneyToRoute(journey) {
+  const place = (stop) => ({
+    name: stop?.name || stop?.address || '',
+    id: stop?.id || undefined,
+    type: stop?.type || undefined,
+    location: stop?.location ? { lat: stop.location.latitude, lng: stop.location.longitude } : undefined
+  });
+  return {
+    sections: (journey.legs || []).map(l => {
+      const dep = l.departure || l.plannedDeparture;
+      const arr = l.arrival || l.plannedArrival;
+      const status = l.cancelled ? 'cancelled' : undefined;
+      const sec = {
+        type: l.walking ? 'pedestrian' : 'transit',
+        departure: { time: dep, delay: l.departureDelay ?? undefined, status, place: { ...place(l.origin), platform: l.departurePlatform || l.plannedDeparturePlatform || undefined } },
+        arrival:   { time: arr, delay: l.arrivalDelay ?? undefined, status, place: { ...place(l.destination), platform: l.arrivalPlatform || l.plannedArrivalPlatform || undefined } },
+        intermediateStops: (l.stopovers || []).slice(1, -1).map(so => ({
+          departure: { time: so.plannedDeparture || so.plannedArrival, place: { ...place(so.stop), platform: so.plannedDeparturePlatform || undefined } },
+          arrival:   { time: so.plannedArrival || so.plannedDeparture, place: place(so.stop) }
+        })),
+        notices: (l.remarks || []).filter(r => r.type === 'warning' || r.type === 'status')
+          .map(r => ({ title: r.summary || r.text || '', code: r.code || null, severity: r.type === 'warning' ? 'critical' : 'info' })),
+        summary: {
+          duration: dep && arr ? Math.round((Date.parse(arr) - Date.parse(dep)) / 1000) : undefined,
+          length: l.distance ?? undefined
+        }
+      };
+      if (!l.walking && l.line) {
+        sec.transport = {
+          mode: HAFAS_PRODUCT_MODES[l.line.product] || l.line.mode || '',
+          name: l.line.name || '',
+          category: l.line.productName || '',
+          operator: l.line.operator?.name || ''
+        };
+      }
+      return sec;
+    }),
+    fares: Number.isFinite(journey.price?.amount)
+      ? [{ id: 'journey', name: journey.price.hint || 'Journey price', price: { type: 'value', value: journey.price.amount, currency: journey.price.currency } }]
+      : undefined,
+    refresh_token: journey.refreshToken || undefined
+  };
+}
+
+// OSRM has no traffic, tolls or vehicle profiles; polyline is GeoJSON, not flexible polyline.
+async function osrmDriveOnce({ origin, destination, departTs, arriveTs, polyline = false }) {
+  if (!OSRM_URL) return { ok:false, status:'UNSUPPORTED' };
+  const q = polyline ? 'overview=full&geometries=geojson' : 'overview=false';
+  const r = await upstreamFetch('osrm', `${OSRM_URL}/route/v1/driving/${origin.lng},${origin.lat};${destination.lng},${destination.lat}?${q}`);
+  if (!r.ok) return { ok:false, status:'HTTP_ERROR', code:r.status };
+  const j = await r.json();
+  const route = j.routes?.[0];
+  if (!route) return { ok:false, status:'ZERO_RESULTS' };
+  const dur = Math.round(route.duration || 0);
+  const depart = arriveTs != null ? arriveTs - dur : (departTs ?? null);
+  return {
+    ok:true,
+    durationSec: dur,
+    baseDurationSec: dur,
+    typicalDurationSec: dur,
+    distanceM: Number.isFinite(route.distance) ? Math.round(route.distance) : null,
+    toll: null,
+    depart,
+    arrive: depart != null ? depart + dur : null,
+    geometry: polyline ? route.geometry : undefined
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Day planner: chain drive/transit legs into one itinerary
+// ─────────────────────────────────────────────────────────────────────────────
+const MAX_PLAN_LEGS = 20;
+
+// Each leg starts once the previous one has arrived (or at its earliest_start,
+// whichever is later). Transit legs take the first connection departing after that.
+async function planDay({ legs, startTs, country, windowMin, debug, provider, tz = DEFAULT_TZ }) {
+  const out = [];
+  let cursor = startTs;
+  let prevDest = null;
+  let blocked = false;
+
+  for (let i = 0; i < legs.length; i++) {
+    const leg = legs[i] || {};
+    const type = String(leg.type || '').toLowerCase();
+    const textOrigin = String(leg.origin || prevDest || '').trim();
+    const textDest   = String(leg.destination || '').trim();
+    prevDest = textDest;
+    const base = { index: i, type, origin: textOrigin, destination: textDest };
+
+    if (blocked) { out.push({ ...base, status:'BLOCKED', feasible:false }); continue; }
+    if (type !== 'drive' && type !== 'transit') {
+      out.push({ ...base, status:'BAD_INPUT', feasible:false, error:'type must be drive or transit' });
+      blocked = true; continue;
+    }
+    if (!textOrigin || !textDest) {
+      out.push({ ...base, status:'BAD_INPUT', feasible:false, error:'origin/destination missing' });
+      blocked = true; continue;
+    }
+
+    const earliest = leg.earliest_start != null ? parseTs(leg.earliest_start, tz) : null;
+    const latest   = leg.latest_arrival != null ? parseTs(leg.latest_arrival, tz) : null;
+    const readyAt  = cursor;
+    const startAt  = earliest != null ? Math.max(readyAt, earliest) : readyAt;
+
+    const [gO, gD] = await Promise.all([ geocode(textOrigin, country, provider), geocode(textDest, country, provider) ]);
+    if (!gO?.ok || !gD?.ok) {
+      out.push({ ...base, status:'GEOCODE_FAIL', feasible:false, origin_geocoded:gO, destination_geocoded:gD });
+      blocked = true; continue;
+    }
+
+    let depart, arrive, duration, extra = {};
+    if (type === 'drive') {
+      const r = await driveOnce({ provider, origin: gO, destination: gD, departTs: startAt });
+      if (!r.ok) { out.push({ ...base, status:r.status, code:r.code, feasible:false }); blocked = true; continue; }
+      depart = startAt; duration = r.durationSec; arrive = depart + duration;
+    } else {
+      const dticket = leg.dticket === true || String(leg.dticket || '') === '1';
+      const sw = await sweepTransit({
+        origin: { lat: gO.lat, lng: gO.lng },
+        destination: { lat: gD.lat, lng: gD.lng },
+        baseTs: startAt, mode: 'depart', windowMin, dticket, debug, provider
+      });
+      if (!sw.ok) {
+        out.push({ ...base, status:sw.status || 'ZERO_RESULTS', feasible:false, probed: debug ? sw.trace : undefined });
+        blocked = true; continue;
+      }
+      const best = sw.best;
+      depart = best.depart || best.ts; duration = best.durationSec || 0;
+      arrive = best.arrive || (depart + duration);
+      extra = { dticket, details: best.details || [], probed: debug ? sw.trace : undefined };
+    }
+
+    const feasible = latest == null || arrive <= latest;
+    out.push({
+      ...base,
+      status: feasible ? 'OK' : 'LATE',
+      feasible,
+      origin_geocoded: { lat:gO.lat, lng:gO.lng, title:gO.title },
+      destination_geocoded: { lat:gD.lat, lng:gD.lng, title:gD.title },
+      earliest_start: earliest,
+      latest_arrival: latest,
+      ready_at: readyAt,
+      depart, arrive,
+      duration,
+      duration_minutes: Math.round(duration / 60),
+      idle_before: Math.max(0, depart - readyAt),
+      late_by: feasible ? 0 : arrive - latest,
+      ...extra
+    });
+    cursor = arrive;
+  }
+
+  const planned = out.filter(l => l.depart != null);
+  const totalTravel = planned.reduce((a, l) => a + (l.duration || 0), 0);
+  const totalIdle   = planned.reduce((a, l) => a + (l.idle_before || 0), 0);
+  const infeasible  = out.filter(l => !l.feasible).map(l => ({ index:l.index, status:l.status }));
+  const start = planned.length ? planned[0].depart : null;
+  const end   = planned.length ? planned[planned.length - 1].arrive : null;
+
+  return {
+    status: infeasible.length ? 'INFEASIBLE' : 'OK',
+    start_time: startTs,
+    start, end,
+    total_duration: start != null ? end - start : 0,
+    total_travel: totalTravel,
+    total_idle: totalIdle,
+    legs: out,
+    infeasible
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Ticket cost comparison: D-Ticket route vs fastest long-distance route
+// ─────────────────────────────────────────────────────────────────────────────
+// Driver time is priced at DRIVER_HOURLY_RATE (overridable per request); the
+// D-Ticket trip itself costs DTICKET_TRIP_COST (0 = the pass is already paid for).
+const COST_CURRENCY      = (process.env.COST_CURRENCY || 'EUR').toUpperCase();
+const DRIVER_HOURLY_RATE = Number(process.env.DRIVER_HOURLY_RATE) || 30;
+const DTICKET_TRIP_COST  = Number(process.env.DTICKET_TRIP_COST) || 0;
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+function tripCost(r, fare, currency, estimated, rate) {
+  const timeCost = round2((r.durationSec || 0) / 3600 * rate);
+  return {
+    depart: r.depart ?? null,
+    arrive: r.arrive ?? null,
+    duration: r.durationSec || 0,
+    duration_minutes: Math.round((r.durationSec || 0) / 60),
+    lines: lineSeq(r).split('>').filter(Boolean),
+    fare, fare_currency: currency,
+    fare_estimated: estimated,
+    time_cost: timeCost,
+    // Unknown or foreign-currency fares can't be totalled.
+    total_cost: fare != null && currency === COST_CURRENCY ? round2(fare + timeCost) : null
+  };
+}
+
+// dticketBest / openRanked: reuse the D-Ticket or unrestricted sweep the caller already ran.
+async function compareTicketCosts({ origin, destination, baseTs, mode, windowMin, provider, hourlyRate, dticketBest, openRanked }) {
+  const sweep = (dticket, alternatives) => sweepTransit({ origin, destination, baseTs, mode, windowMin, dticket, alternatives, provider });
+  const [dt, open] = await Promise.all([
+    dticketBest ? { ok:true, best: dticketBest } : sweep(true, 1),
+    openRanked ? { ok:true, ranked: openRanked } : sweep(false, MAX_ALTERNATIVES)
+  ]);
+  const longDistance = open.ok
+    ? open.ranked.filter(r => !r.dticket_valid).sort((a, b) => (a.durationSec || 9e15) - (b.durationSec || 9e15))[0]
+    : null;
+
+  const a = dt.ok ? tripCost(dt.best, DTICKET_TRIP_COST, COST_CURRENCY, false, hourlyRate) : null;
+  const b = longDistance ? tripCost(longDistance, longDistance.fare?.total ?? null, longDistance.fare?.currency ?? null, !!longDistance.fare?.estimated, hourlyRate) : null;
+  const both = a?.total_cost != null && b?.total_cost != null;
+  return {
+    hourly_rate: hourlyRate,
+    currency: COST_CURRENCY,
+    dticket: a,
+    long_distance: b,
+    cheaper: both ? (a.total_cost <= b.total_cost ? 'dticket' : 'long_distance') : null,
+    saving: both ? round2(Math.abs(a.total_cost - b.total_cost)) : null,
+    time_saved_minutes: a && b ? Math.round((a.duration - b.duration) / 60) : null
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Transfer feasibility: drive to a branch, hand over, return by transit
+// ─────────────────────────────────────────────────────────────────────────────
+const DEFAULT_HANDOVER_MIN = parseInt(process.env.DEFAULT_HANDOVER_MIN || '', 10) || 10;
+
+// Branch opening intervals as unix spans on the day of ts in tz.
+function branchSpans(branch, ts, tz = DEFAULT_TZ){
+  return (branch.intervals || []).map(iv => [localTsAt(ts, iv.open, tz), localTsAt(ts, iv.close, tz)]);
+}
+
+async function checkFeasibility({ gO, branchPos, pickupPos, departTs, deadlineTs, handoverMin, brands, state, windowMin, dticket, debug, provider, tz = DEFAULT_TZ }) {
+  const found = await findBranchesNear(branchPos, departTs, { brands, radius: 2000, limit: 1, state, tz });
+  if (!found) return { status:'OVERPASS_UNAVAILABLE' };
+  if (!found.length) return { status:'NO_BRANCH' };
+  const branch = found[0];
+
+  const drive = await driveOnce({ provider, origin: gO, destination: branch, departTs });
+  if (!drive.ok) return { status:drive.status, code:drive.code, stage:'drive' };
+  const dropOff = departTs + drive.durationSec;
+
+  // Re-evaluate hours for the drop-off day (the drive may cross midnight).
+  const hours = { ...branch, ...branchHours(branch, dropOff, state, tz) };
+  const spans = branchSpans(hours, dropOff, tz);
+  const current = spans.find(([a, b]) => dropOff >= a && dropOff < b);
+  const missed  = spans.filter(([, b]) => b <= dropOff).pop();
+  // Spans still ahead at drop-off (split shifts: the driver may wait for the reopening).
+  const usable  = spans.filter(([, b]) => b > dropOff);
+  const first   = usable[0] || null;
+  const closeAt = first ? first[1] : (missed ? missed[1] : null);
+
+  // Deadline at the next pickup: explicit, else closing time of the branch there.
+  let deadline = deadlineTs, deadlineSource = 'param', pickupBranch = null;
+  if (deadline == null) {
+    const pb = await findBranchesNear(pickupPos, dropOff, { brands, radius: 2000, limit: 1, state, tz });
+    pickupBranch = pb?.[0] || null;
+    const pbSpans = pickupBranch ? branchSpans(pickupBranch, dropOff, tz) : [];
+    const last = pbSpans.filter(([, b]) => b > dropOff).pop();
+    if (!last) return { status:'NO_DEADLINE', branch:hours, pickup_branch:pickupBranch };
+    deadline = last[1];
+    deadlineSource = 'pickup_branch_close';
+  }
+
+  const handoverDone = (first ? Math.max(dropOff, first[0]) : dropOff) + handoverMin * 60;
+  const sw = await sweepTransit({
+    origin: { lat: branch.lat, lng: branch.lng },
+    destination: pickupPos,
+    baseTs: deadline, mode: 'arrive', windowMin, dticket, debug, provider
+  });
+  const best = sw.ok && sw.best.score?.on_time ? sw.best : null;
+
+  // Latest departure from origin: over every remaining span, arrive by its close
+  // and finish the hand-over (after it opens) before the return connection leaves.
+  const handoverBy = best ? (best.depart ?? best.ts) - handoverMin * 60 : null;
+  const latests = best ? usable.filter(([a]) => a <= handoverBy).map(([, b]) => Math.min(b, handoverBy) - drive.durationSec) : [];
+  const latestDeparture = latests.length ? Math.max(...latests) : null;
+
+  let verdict = 'feasible';
+  if (!first) verdict = 'branch_closed';
+  else if (!best || (best.depart ?? best.ts) < handoverDone) verdict = 'too_late';
+
+  return {
+    status: 'OK',
+    verdict,
+    feasible: verdict === 'feasible',
+    departure_time: departTs,
+    latest_departure: latestDeparture,
+    slack_minutes: latestDeparture != null ? Math.floor((latestDeparture - departTs) / 60) : null,
+    drive: { duration: drive.durationSec, duration_minutes: Math.round(drive.durationSec / 60), arrive: dropOff },
+    branch: {
+      ...hours,
+      open_now: !!current,
+      closes_at: closeAt,
+      opens_at: !current && first ? first[0] : null
+    },
+    handover_minutes: handoverMin,
+    handover_done: handoverDone,
+    deadline,
+    deadline_source: deadlineSource,
+    pickup_branch: pickupBranch || undefined,
+    transit: best ? {
+      depart: best.depart || null,
+      arrive: best.arrive || null,
+      duration: best.durationSec || 0,
+      duration_minutes: Math.round((best.durationSec || 0) / 60),
+      details: formatDetails(best.details)
+    } : null,
+    probed: debug ? sw.trace : undefined
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Combined routing: drive then transit, or transit then a short drive
+// ─────────────────────────────────────────────────────────────────────────────
+// One itinerary through a hand-over point (usually a rental branch):
+//   drive_transit  origin →car→ via, hand-over, via →transit→ destination
+//   transit_drive  origin →transit→ via, pick-up, via →car→ destination
+// The second leg never starts before the hand-over is done.
+const COMBINED_ORDERS = ['drive_transit', 'transit_drive'];
+
+async function combinedRoute({ order, gO, gV, gD, departTs, handoverMin, windowMin, dticket, debug, provider, drive: driveArgs = {}, full, branch = null, state, tz = DEFAULT_TZ }) {
+  const pos = (g) => ({ lat: g.lat, lng: g.lng });
+  const transitLeg = async (from, to, baseTs) => {
+    const sw = await sweepTransit({ origin: pos(from), destination: pos(to), baseTs, mode: 'depart', windowMin, dticket, debug, provider, full });
+    // Depart-mode ranking only falls back to earlier departures when nothing leaves in time.
+    if (!sw.ok || !sw.best.score?.on_time) return { ok:false, status: sw.ok ? 'ZERO_RESULTS' : sw.status, code: sw.code, trace: sw.trace };
+    return { ok:true, best: sw.best, trace: sw.trace };
+  };
+  const driveLeg = (from, to, ts) => driveOnce({ provider, origin: from, destination: to, departTs: ts, ...driveArgs });
+
+  let drive, transit, handoverStart;
+  if (order === 'drive_transit') {
+    drive = await driveLeg(gO, gV, departTs);
+    if (!drive.ok) return { status: drive.status, code: drive.code, stage: 'drive' };
+    handoverStart = departTs + drive.durationSec;
+    transit = await transitLeg(gV, gD, handoverStart + handoverMin * 60);
+    if (!transit.ok) return { status: transit.status, code: transit.code, stage: 'transit', probed: debug ? transit.trace : undefined };
+  } else {
+    transit = await transitLeg(gO, gV, departTs);
+    if (!transit.ok) return { status: transit.status, code: transit.code, stage: 'transit', probed: debug ? transit.trace : undefined };
+    handoverStart = transit.best.arrive ?? (transit.best.depart + (transit.best.durationSec || 0));
+    drive = await driveLeg(gV, gD, handoverStart + handoverMin * 60);
+    if (!drive.ok) return { status: drive.status, code: drive.code, stage: 'drive' };
+  }
+  const handoverDone = handoverStart + handoverMin * 60;
+
+  const best = transit.best;
+  const driveDep = order === 'drive_transit' ? departTs : handoverDone;
+  const driveSection = {
+    type: 'DRIVE', line: '', agency: '',
+    from: order === 'drive_transit' ? gO.title : gV.title,
+    to: order === 'drive_transit' ? gV.title : gD.title,
+    dep: driveDep, arr: driveDep + drive.durationSec, product: '',
+    duration_sec: drive.durationSec, distance_m: drive.distanceM ?? null
+  };
+  const handover = { type: 'HANDOVER', line: '', agency: '', from: gV.title, to: gV.title, dep: handoverStart, arr: handoverDone, product: '', duration_sec: handoverMin * 60 };
+  const ends = order === 'drive_transit'
+    ? { origin: { title: gV.title, lat: gV.lat, lng: gV.lng }, destination: { title: gD.title, lat: gD.lat, lng: gD.lng } }
+    : { origin: { title: gO.title, lat: gO.lat, lng: gO.lng }, destination: { title: gV.title, lat: gV.lat, lng: gV.lng } };
+  const sections = formatDetails(best.details, full ? ends : null);
+  const transitDep = best.depart ?? best.ts;
+  const transitArr = best.arrive ?? transitDep + (best.durationSec || 0);
+
+  // Waiting between hand-over and the first train, or between the train and the counter.
+  const wait = (from, to) => to > from ? [{ type: 'WAIT', line: '', agency: '', from: gV.title, to: gV.title, dep: from, arr: to, product: '', duration_sec: to - from }] : [];
+  const timeline = order === 'drive_transit'
+    ? [driveSection, handover, ...wait(handoverDone, transitDep), ...sections]
+    : [...sections, handover, ...wait(handoverDone, driveSection.dep), driveSection];
+
+  const depart = timeline[0].dep;
+  const arrive = timeline[timeline.length - 1].arr;
+  const waitSec = timeline.filter(s => s.type === 'WAIT').reduce((a, s) => a + s.duration_sec, 0);
+  const hours = branch ? branchHours(branch, handoverStart, state, tz) : null;
+  return {
+    status: 'OK',
+    order,
+    departure_time: departTs,
+    depart, arrive,
+    duration: arrive - depart,
+    duration_minutes: Math.round((arrive - depart) / 60),
+    drive_seconds: drive.durationSec,
+    handover_minutes: handoverMin,
+    handover_done: handoverDone,
+    wait_seconds: waitSec,
+    transit_seconds: transitArr - transitDep,
+    branch: branch ? { ...branch, ...hours, open_at_handover: isOpenAt(hours.intervals, weekdayLocal(handoverStart, tz).min) } : undefined,
+    drive: {
+      provider: drive.provider,
+      depart: driveSection.dep, arrive: driveSection.arr,
+      duration: drive.durationSec, distance_m: drive.distanceM ?? null, toll_cost: drive.toll || null
+    },
+    transit: {
+      provider: best.provider || provider,
+      depart: transitDep, arrive: transitArr,
+      duration: best.durationSec || 0,
+      lines: lineSeq(best).split('>').filter(Boolean),
+      dticket_valid: best.dticket_valid,
+      fare: best.fare || null,
+      excluded_modes: best.excluded_modes
+    },
+    timeline,
+    probed: debug ? transit.trace : undefined
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Reachability: which branches can still be reached by transit before closing
+// ─────────────────────────────────────────────────────────────────────────────
+// Branches of the given brands around the origin, each with an arrive-by sweep
+// to its closing time (minus the hand-over). Sweeps run MATRIX_CONCURRENCY at a time
+// and each branch holds one cell of MATRIX_GLOBAL_MAX_CELLS, the in-flight budget /matrix uses.
+const REACHABLE_MAX_RADIUS     = 30000;  // m
+const REACHABLE_MAX_BRANCHES   = 15;
+const REACHABLE_MAX_WINDOW_MIN = 180;
+
+async function reachableBranches({ gO, departTs, brands, radius, limit, handoverMin, dticket, state, debug, provider, tz = DEFAULT_TZ }) {
+  const found = await findBranchesNear({ lat: gO.lat, lng: gO.lng }, departTs, { brands, radius, limit, state, tz });
+  if (!found) return { status:'OVERPASS_UNAVAILABLE' };
+  if (!found.length) return { status:'OK', branches: [] };
+
+  const rows = await runPool(found, MATRIX_CONCURRENCY, async (b) => {
+    const spans = branchSpans(b, departTs, tz);
+    const closeAt = spans.length ? spans[spans.length - 1][1] : null;
+    const base = {
+      brand: b.brand, name: b.name, lat: b.lat, lng: b.lng, distance_m: b.distance_m,
+      osm_type: b.osm_type, osm_id: b.osm_id, opening_hours: b.opening_hours, hours_source: b.hours_source,
+      closes_at: closeAt, reachable: false
+    };
+    if (closeAt == null || closeAt <= departTs) return { ...base, status:'CLOSED' };
+    const deadline = closeAt - handoverMin * 60;
+    if (deadline <= departTs) return { ...base, status:'TOO_LATE', deadline };
+
+    let sw;
+    try {
+      sw = await sweepTransit({
+        origin: { lat: gO.lat, lng: gO.lng }, destination: { lat: b.lat, lng: b.lng },
+        baseTs: deadline, mode: 'arrive', windowMin: Math.min(REACHABLE_MAX_WINDOW_MIN, Math.ceil((deadline - departTs) / 60)),
+        dticket, debug, provider
+      });
+    } catch (e) {
+      log('warn', 'reachable sweep failed', { branch: b.name, error: e.message });
+      return { ...base, status:'HTTP_ERROR', deadline };
+    }
+    if (!sw.ok) return { ...base, status: sw.status || 'ZERO_RESULTS', deadline, probed: debug ? sw.trace : undefined };
+    const best = sw.best;
+    const dep = best.depart ?? best.ts;
+    if (!best.score?.on_time || dep < departTs) return { ...base, status:'TOO_LATE', deadline, probed: debug ? sw.trace : undefined };
+
+    const arrive = best.arrive ?? dep + (best.durationSec || 0);
+    return {
+      ...base,
+      status: 'OK',
+      reachable: true,
+      deadline,
+      depart: dep,
+      arrive,
+      latest_departure: dep,
+      slack_minutes: Math.floor((dep - departTs) / 60),
+      margin_minutes: Math.floor((closeAt - arrive) / 60),
+      // Split shifts: arriving in the midday break means waiting at the door.
+      open_on_arrival: spans.some(([a, z]) => arrive >= a && arrive < z),
+      duration_minutes: Math.round((best.durationSec || 0) / 60),
+      lines: lineSeq(best).split('>').filter(Boolean),
+      dticket_valid: best.dticket_valid,
+      probed: debug ? sw.trace : undefined
+    };
+  });
+
+  // Reachable first, earliest arrival first; the rest nearest first.
+  rows.sort((a, b) => (b.reachable - a.reachable) || (a.reachable ? a.arrive - b.arrive : a.distance_m - b.distance_m));
+  return { status:'OK', branches: rows };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Travel-time matrix: every origin × every destination, by car and/or transit
+// ─────────────────────────────────────────────────────────────────────────────
+const MATRIX_MAX_SIDE          = parseInt(process.env.MATRIX_MAX_SIDE || '', 10) || 25;
+const MATRIX_MAX_CELLS         = parseInt(process.env.MATRIX_MAX_CELLS || '', 10) || 100;  // per mode, per request
+const MATRIX_GLOBAL_MAX_CELLS  = parseInt(process.env.MATRIX_GLOBAL_MAX_CELLS || '', 10) || 400;  // all requests in flight
+const MATRIX_CONCURRENCY       = 4;
+let MATRIX_ACTIVE_CELLS = 0;
+
+async function buildMatrix({ origins, destinations, modes, baseTs, windowMin, dticket, country, provider, acceptAmbiguous }) {
+  // Geocode each distinct input once
+  const inputs = [...new Set([...origins, ...destinations].map(x => String(x).trim()))];
+  const geo = new Map();
+  const found = await runPool(inputs, MATRIX_CONCURRENCY, (q) => geocode(q, country, provider)
+    .catch(e => ({ ok:false, status:'UPSTREAM_ERROR', error:e.message })));
+  inputs.forEach((q, k) => geo.set(q, found[k]));
+
+  const point = (q) => {
+    const g = geo.get(String(q).trim());
+    const status = !g?.ok ? (['UNKNOWN_ALIAS', 'UPSTREAM_ERROR'].includes(g?.status) ? g.status : 'GEOCODE_FAIL')
+                 : (g.ambiguous && !acceptAmbiguous ? 'GEOCODE_AMBIGUOUS' : 'OK');
+    return { input: q, status, title: g?.title || null, lat: g?.lat ?? null, lng: g?.lng ?? null,
+             candidates: status === 'GEOCODE_AMBIGUOUS' ? g.candidates : undefined };
+  };
+  const rows = origins.map(point);
+  const cols = destinations.map(point);
+  const grid = (v) => rows.map(() => cols.map(() => v));
+
+  const cells = [];
+  rows.forEach((o, i) => cols.forEach((d, j) => cells.push([i, j])));
+  const out = { origins: rows, destinations: cols };
+
+  for (const mode of modes) {
+    const m = { durations: grid(null), status: grid(null) };
+    if (mode === 'car') m.distances = grid(null);
+    else { m.depart = grid(null); m.arrive = grid(null); }
+
+    await runPool(cells, MATRIX_CONCURRENCY, async ([i, j]) => {
+      const o = rows[i], d = cols[j];
+      if (o.status !== 'OK' || d.status !== 'OK') { m.status[i][j] = o.status !== 'OK' ? `ORIGIN_${o.status}` : `DESTINATION_${d.status}`; return; }
+      if (o.lat === d.lat && o.lng === d.lng) {
+        m.durations[i][j] = 0; m.status[i][j] = 'OK';
+        if (mode === 'car') m.distances[i][j] = 0;
+        else { m.depart[i][j] = baseTs; m.arrive[i][j] = baseTs; }
+        return;
+      }
+      // An upstream call that throws (e.g. "fetch failed") fails its cell, not the matrix.
+      try {
+        if (mode === 'car') {
+          const r = await driveOnce({ provider, origin: o, destination: d, departTs: baseTs });
+          m.status[i][j] = r.ok ? 'OK' : r.status;
+          if (r.ok) { m.durations[i][j] = r.durationSec; m.distances[i][j] = r.distanceM ?? null; }
+        } else {
+          const sw = await sweepTransit({
+            origin: { lat: o.lat, lng: o.lng }, destination: { lat: d.lat, lng: d.lng },
+            baseTs, mode: 'depart', windowMin, dticket, provider
+          });
+          m.status[i][j] = sw.ok ? 'OK' : sw.status;
+          if (sw.ok) {
+            // Door-to-door from the reference time, waiting for the connection included.
+            const arr = sw.best.arrive ?? (sw.best.ts + (sw.best.durationSec || 0));
+            m.durations[i][j] = Math.max(0, arr - baseTs);
+            m.depart[i][j] = sw.best.depart ?? null;
+            m.arrive[i][j] = arr;
+          }
+        }
+      } catch (e) {
+        m.status[i][j] = 'UPSTREAM_ERROR';
+      }
+    });
+    out[mode] = m;
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exports: ICS / GPX / GeoJSON built from a route's details
+// ─────────────────────────────────────────────────────────────────────────────
+const EXPORT_FORMATS = {
+  ics:     { type: 'text/calendar; charset=utf-8',         ext: 'ics' },
+  gpx:     { type: 'application/gpx+xml; charset=utf-8',   ext: 'gpx' },
+  geojson: { type: 'application/geo+json; charset=utf-8',  ext: 'geojson' }
+};
+const FLEX_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// HERE flexible polyline → [[lat, lng], …] (a third dimension is read and dropped).
+function decodeFlexPolyline(str) {
+  const nums = [];
+  let value = 0, shift = 0;
+  for (const ch of String(str || '')) {
+    const v = FLEX_CHARS.indexOf(ch);
+    if (v < 0) throw new Error('invalid flexible polyline');
+    value += (v & 0x1f) * 2 ** shift;                 // no bit ops: values exceed 32 bits
+    if (v & 0x20) { shift += 5; continue; }
+    nums.push(value); value = 0; shift = 0;
+  }
+  if (nums[0] !== 1) throw new Error('unsupported flexible polyline version');
+  const header = nums[1];
+  const factor = 10 ** (header & 15);
+  const dims = ((header >> 4) & 7) ? 3 : 2;
+  const signed = (u) => (u % 2 ? -(u + 1) / 2 : u / 2);
+  const out = [];
+  let lat = 0, lng = 0;
+  for (let i = 2; i + dims - 1 < nums.length; i += dims) {
+    lat += signed(nums[i]); lng += signed(nums[i + 1]);
+    out.push([lat / factor, lng / factor]);
+  }
+  return out;
+}
+
+const pointOf = (pl) => pl && Number.isFinite(pl.lat) && Number.isFinite(pl.lng) ? [pl.lat, pl.lng] : null;
+
+// Per section: its polyline, else the stop/place coordinates we have for it.
+function sectionPath(d) {
+  if (d.path) return d.path;
+  if (d.polyline) {
+    try { return decodeFlexPolyline(d.polyline); } catch { /* fall back to stops */ }
+  }
+  const pts = d.type === 'TRANSIT'
+    ? [d.from_stop, ...(d.intermediate || []), d.to_stop]
+    : [d.from_place, d.to_place];
+  return pts.map(pointOf).filter(Boolean);
+}
+
+const xmlEsc = (v) => String(v ?? '').replace(/[<>&"']/g, c => ({ '<':'&lt;', '>':'&gt;', '&':'&amp;', '"':'&quot;', "'":'&apos;' }[c]));
+const sectionName = (d) => d.type === 'TRANSIT' ? `${d.line} ${d.from} → ${d.to}`
+  : `${d.type === 'DRIVE' ? 'Drive' : 'Walk'} ${d.from || ''} → ${d.to || ''}`.replace(/\s+/g, ' ').trim();
+
+function exportGeoJson(details, meta) {
+  const features = [];
+  details.forEach((d, i) => {
+    const path = sectionPath(d);
+    const props = {
+      section: i, type: d.type, name: sectionName(d), line: d.line || null, from: d.from || null, to: d.to || null,
+      dep: d.dep || null, arr: d.arr || null, platform: d.platform_dep || null
+    };
+    if (path.length) features.push({ type: 'Feature', properties: { ...props, waypoint: true }, geometry: { type: 'Point', coordinates: [path[0][1], path[0][0]] } });
+    if (path.length > 1) features.push({ type: 'Feature', properties: props, geometry: { type: 'LineString', coordinates: path.map(([la, ln]) => [ln, la]) } });
+  });
+  return JSON.stringify({ type: 'FeatureCollection', properties: meta, features });
+}
+
+function exportGpx(details, meta) {
+  const time = (ts) => ts ? `<time>${toIso(ts)}</time>` : '';
+  const wpts = [], trks = [];
+  details.forEach((d, i) => {
+    const path = sectionPath(d);
+    if (!path.length) return;
+    wpts.push(`  <wpt lat="${path[0][0]}" lon="${path[0][1]}">${time(d.dep)}<name>${xmlEsc(sectionName(d))}</name>` +
+              `${d.platform_dep ? `<desc>Platform ${xmlEsc(d.platform_dep)}</desc>` : ''}<type>${d.type}</type></wpt>`);
+    trks.push(`  <trk><name>${xmlEsc(sectionName(d))}</name><number>${i + 1}</number><trkseg>\n` +
+              path.map(([la, ln]) => `    <trkpt lat="${la}" lon="${ln}"/>`).join('\n') + `\n  </trkseg></trk>`);
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="prologistics-proxy" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${xmlEsc(meta.name)}</name>${time(meta.depart)}</metadata>`,
+    ...wpts, ...trks,
+    '</gpx>', ''
+  ].join('\n');
+}
+
+// RFC 5545: escaped text, CRLF, lines folded at 75 octets.
+function exportIcs(details, meta) {
+  const esc = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+  const stamp = (ts) => toIso(ts).replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const fold = (line) => {
+    const parts = [];
+    let buf = Buffer.from(line, 'utf8');
+    while (buf.length > 75) {
+      let cut = parts.length ? 74 : 75;
+      while ((buf[cut] & 0xc0) === 0x80) cut--;      // don't split a UTF-8 sequence
+      parts.push(buf.subarray(0, cut).toString('utf8'));
+      buf = buf.subarray(cut);
+    }
+    parts.push(buf.toString('utf8'));
+    return parts.join('\r\n ');
+  };
+  const events = details.map((d, i) => ({ d, i })).filter(({ d }) => (d.type === 'TRANSIT' || meta.kind === 'drive') && d.dep && d.arr);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//prologistics-proxy//connection export//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  for (const { d, i } of events) {
+    const where = [d.from, d.platform_dep && `Platform ${d.platform_dep}`].filter(Boolean).join(', ');
+    const desc = [
+      d.line && `${d.line}${d.headsign ? ` → ${d.headsign}` : ''}${d.agency ? ` (${d.agency})` : ''}`,
+      `${d.from}${d.platform_dep ? ` (platform ${d.platform_dep})` : ''} → ${d.to}${d.platform_arr ? ` (platform ${d.platform_arr})` : ''}`,
+      d.intermediate?.length ? `Stops: ${d.intermediate.map(x => x.name).filter(Boolean).join(', ')}` : null,
+      d.dep_delay || d.arr_delay ? `Delay: ${Math.round((d.arr_delay ?? d.dep_delay) / 60)} min` : null,
+      d.cancelled ? 'CANCELLED' : null
+    ].filter(Boolean).join('\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${d.dep}-${i}-${crypto.createHash('sha1').update(`${meta.name}|${d.line}|${d.from}|${d.dep}`).digest('hex').slice(0, 12)}@prologistics-proxy`,
+      `DTSTAMP:${stamp(nowUnix())}`,
+      `DTSTART:${stamp(d.dep)}`,
+      `DTEND:${stamp(d.arr)}`,
+      `SUMMARY:${esc(d.cancelled ? `[cancelled] ${sectionName(d)}` : sectionName(d))}`,
+      `LOCATION:${esc(where)}`,
+      `DESCRIPTION:${esc(desc)}`,
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// Send route details in `format`; meta: { name, kind:'transit'|'drive', depart, … }.
+function sendExport(res, format, details, meta) {
+  const f = EXPORT_FORMATS[format];
+  const body = format === 'ics' ? exportIcs(details, meta) : format === 'gpx' ? exportGpx(details, meta) : exportGeoJson(details, meta);
+  const file = `${meta.kind}-${meta.depart || nowUnix()}.${f.ext}`;
+  return res.type(f.type).set('Content-Disposition', `attachment; filename="${file}"`).send(body);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Connection watches: re-check a planned return trip, call a webhook on change
+// ─────────────────────────────────────────────────────────────────────────────
+// A watch holds a /transit refresh_id and the planned arrival. Every
+// interval_seconds the connection is fetched again past the cache; when it is
+// gone or cancelled, breaks the D-Ticket rule, or arrives more than
+// threshold_minutes late, webhook_url gets a POST with the best alternative.
+// With a secret the POST is signed like inbound requests: x-timestamp and
+// x-signature = hex HMAC-SHA256(secret, "<timestamp>\n<body>").
+// Watches live in WATCHES_FILE (rewritten atomically; the default under the OS temp
+// dir is writable on Vercel but not durable) and expire once the trip has arrived;
+// WATCH_TICK_SEC=0 turns the scheduler off (POST /watch/:id/check still works).
+// Webhooks to loopback, private or link-local addresses are refused, checked when the
+// watch is created and again on every delivery, unless WEBHOOK_ALLOW_PRIVATE=1.
+const WATCHES_FILE     = process.env.WATCHES_FILE || path.join(os.tmpdir(), 'prologistics-watches.json');
+const WATCH_TICK_SEC   = Math.max(0, parseInt(process.env.WATCH_TICK_SEC ?? '30', 10) || 0);
+const WATCH_MAX        = parseInt(process.env.WATCH_MAX || '', 10) || 500;
+const WATCH_MIN_INTERVAL_SEC     = 60;
+const WATCH_DEFAULT_INTERVAL_SEC = 300;
+const WATCH_DEFAULT_THRESHOLD_MIN = 5;
+const WATCH_CONCURRENCY   = 2;
+const WATCH_ALTERNATIVES  = 3;
+const WATCH_KEEP_EXPIRED_SEC = 86400;
+const WEBHOOK_TIMEOUT_MS  = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '', 10) || 5000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+let WATCHES;   // id → record
+
+const PRIVATE_NETS = new net.BlockList();
+for (const [addr, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) PRIVATE_NETS.addSubnet(addr, bits, 'ipv4');
+for (const [addr, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10]]) PRIVATE_NETS.addSubnet(addr, bits, 'ipv6');
+
+// BlockList also matches IPv4-mapped IPv6 (::ffff:127.0.0.1) against the IPv4 nets.
+function privateAddress(ip){
+  const family = net.isIP(ip);
+  return !family || PRIVATE_NETS.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Why a webhook URL may not be called, or null. Resolves the host so names that
+// point inside the network are caught too.
+async function webhookTargetError(url){
+  if (WEBHOOK_ALLOW_PRIVATE) return null;
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addrs;
+  try {
+    addrs = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    return `webhook host ${host} does not resolve`;
+  }
+  return addrs.some(a => privateAddress(a.address)) ? `webhook host ${host} is a private address` : null;
+}
+
+function loadWatches(){
+  if (WATCHES) return WATCHES;
+  WATCHES = new Map();
+  try {
+    const list = JSON.parse(fs.readFileSync(WATCHES_FILE, 'utf8'));
+    for (const rec of Array.isArray(list) ? list : []) if (rec?.id) WATCHES.set(rec.id, rec);
+  } catch (e) {
+    if (e.code !== 'ENOENT') log('error', 'WATCHES_FILE unreadable', { error: e.message });
+  }
+  return WATCHES;
+}
+
+function saveWatches(){
+  const tmp = `${WATCHES_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...loadWatches().values()], null, 2));
+  fs.renameSync(tmp, WATCHES_FILE);
+}
+
+// The secret never leaves the server.
+const publicWatch = ({ secret, ...w }) => ({ ...w, signed: !!secret });
+
+// body: { refresh_id, arrive } or { transit: <a /transit response> }, plus
+// webhook_url, threshold_minutes, interval_seconds, secret.
+function buildWatch(body, { owner, tz }){
+  const src = body.transit && typeof body.transit === 'object' ? body.transit : body;
+  const ref = parseConnectionRef(src.refresh_id || '');
+  if (!ref) return { error:'refresh_id from a /transit response required' };
+  if (src.arrive == null) return { error:'arrive (planned arrival) required' };
+  const arrive = parseTs(src.arrive, tz);
+  let url = null;
+  try { url = new URL(String(body.webhook_url || '')); } catch { /* below */ }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) return { error:'webhook_url must be an http(s) URL' };
+
+  const now = nowUnix();
+  const threshold = Math.max(1, Number(body.threshold_minutes) || WATCH_DEFAULT_THRESHOLD_MIN);
+  return { rec: {
+    id: crypto.randomBytes(9).toString('base64url'),
+    owner: owner || null,
+    tz,
+    refresh_id: src.refresh_id,
+    provider: ref.p,
+    dticket: !!ref.k,
+    planned: { depart: ref.t, arrive, lines: ref.l ? ref.l.split('>') : [] },
+    threshold_minutes: threshold,
+    interval_seconds: Math.max(WATCH_MIN_INTERVAL_SEC, parseInt(body.interval_seconds, 10) || WATCH_DEFAULT_INTERVAL_SEC),
+    webhook_url: url.toString(),
+    secret: body.secret ? String(body.secret) : undefined,
+    state: 'active',
+    created_at: now,
+    next_check_at: now,
+    checked_at: null,
+    last: null,
+    alerts: []
+  } };
+}
+
+function watchRoute(r, ctx){
+  return {
+    depart: r.depart ?? null, arrive: r.arrive ?? null,
+    depart_rt: r.depart_rt ?? null, arrive_rt: r.arrive_rt ?? null,
+    duration: r.durationSec || 0,
+    lines: lineSeq(r).split('>').filter(Boolean),
+    cancelled: !!r.cancelled,
+    dticket_valid: r.dticket_valid,
+    refresh_id: connectionRef(r, ctx)
+  };
+}
+
+async function sendWebhook(w, payload){
+  const body = JSON.stringify(payload);
+  const headers = { 'content-type': 'application/json', 'user-agent': 'prologistics-proxy-watch' };
+  if (w.secret) {
+    const ts = String(nowUnix());
+    headers['x-timestamp'] = ts;
+    headers['x-signature'] = crypto.createHmac('sha256', w.secret).update(`${ts}\n${body}`).digest('hex');
+  }
+  try {
+    const refused = await webhookTargetError(new URL(w.webhook_url));
+    if (refused) return { ok: false, code: null, error: refused };
+    // No redirects: they could point somewhere the check above never saw.
+    const r = await fetch(w.webhook_url, { method: 'POST', headers, body, redirect: 'manual', signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+    return { ok: r.ok, code: r.status };
+  } catch (e) {
+    return { ok: false, code: null, error: e.message };
+  }
+}
+
+// One re-evaluation. Alerts fire once per reason (a growing delay again per
+// threshold step); an undelivered alert is retried on the next check.
+async function checkWatch(w){
+  const ref = parseConnectionRef(w.refresh_id);
+  const now = nowUnix();
+  const origin = { lat: ref.o[0], lng: ref.o[1] }, destination = { lat: ref.d[0], lng: ref.d[1] };
+  const ctx = { provider: ref.p, origin, destination, dticket: !!ref.k };
+  // Without the D-Ticket filter so a now-invalid connection still comes back;
+  // ref.x keeps the long-distance modes excluded when the original query did.
+  const query = (ts) => transitOnceCached({
+    provider: ref.p, origin, destination, ts, mode: 'depart', dticket: false,
+    alternatives: WATCH_ALTERNATIVES, excludeModes: ref.x, fresh: true
+  });
 
-    // Parse "lat,lng" or geocode text
-    let lat=null, lng=null;
-    const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(near);
-    if (m) { lat = +m[1]; lng = +m[2]; }
-    else {
-      const g = await geocode(near, (req.query.country || DEFAULT_COUNTRY || '').toLowerCase());
-      if (!g?.ok) return res.json({ ok:false, reason:'GEOCODE_FAIL' });
-      lat = g.lat; lng = g.lng;
+  const r = await query(ref.t - 60);
+  w.checked_at = now;
+  w.next_check_at = now + w.interval_seconds;
+  if (!r.ok && r.status === 'HTTP_ERROR') {
+    w.last = { status: 'UPSTREAM_ERROR', code: r.code ?? null };
+    return { watch: w };
+  }
+  const routes = r.ok ? (r.routes || [r]) : [];
+  const isSame = (x) => x.depart === ref.t && lineSeq(x) === ref.l;
+  const same = routes.find(isSame) || null;
+
+  let reason = null, delay = null;
+  if (same) delay = (same.arrive_rt ?? same.arrive) - w.planned.arrive;
+  if (!same) reason = 'disappeared';
+  else if (same.cancelled) reason = 'cancelled';
+  else if (w.dticket && !same.dticket_valid) reason = 'dticket_violation';
+  else if (delay > w.threshold_minutes * 60) reason = 'delayed';
+  w.last = { status: reason ? reason.toUpperCase() : 'OK', delay_sec: delay };
+
+  // Done once the trip has arrived (live arrival when known).
+  if (now > Math.max(w.planned.arrive, same ? (same.arrive_rt ?? same.arrive) : 0)) w.state = 'expired';
+  const key = reason === 'delayed' ? `delayed:${Math.floor(delay / (w.threshold_minutes * 60))}` : reason;
+  if (!reason || w.state === 'expired') { if (!reason) w.alert_key = null; return { watch: w }; }
+  if (w.alert_key === key) return { watch: w };
+
+  // Alternatives must still be catchable and, against a delay, arrive earlier.
+  const arrOf = (x) => x.arrive_rt ?? x.arrive;
+  const pool = ref.t - 60 >= now ? routes : ((await query(now)).routes || []);
+  const alt = pool
+    .filter(x => !isSame(x) && !x.cancelled && (!w.dticket || x.dticket_valid) && (x.depart_rt ?? x.depart) >= now)
+    .filter(x => reason !== 'delayed' || arrOf(x) < arrOf(same))
+    .sort((a, b) => arrOf(a) - arrOf(b))[0] || null;
+
+  const payload = {
+    event: 'watch.alert',
+    watch_id: w.id,
+    reason,
+    delay_sec: delay,
+    threshold_minutes: w.threshold_minutes,
+    planned: w.planned,
+    current: same ? watchRoute(same, ctx) : null,
+    alternative: alt ? watchRoute(alt, ctx) : null,
+    checked_at: now
+  };
+  const sent = await sendWebhook(w, { ...localizeTimes(payload, w.tz), tz: w.tz });
+  metricInc('proxy_watch_webhooks_total', 'Watch webhooks by reason and delivery outcome', { reason, delivered: sent.ok ? 'yes' : 'no' });
+  log(sent.ok ? 'info' : 'warn', 'watch webhook', { watch: w.id, reason, code: sent.code, error: sent.error });
+  // The receiver's status and errors only go to the log, not back to the caller.
+  w.alerts = [...(w.alerts || []), { at: now, reason, delay_sec: delay, delivered: sent.ok }].slice(-20);
+  if (sent.ok) w.alert_key = key;
+  return { watch: w, alert: payload, delivery: { delivered: sent.ok } };
+}
+
+let WATCH_RUNNING = false;
+async function runDueWatches(){
+  if (WATCH_RUNNING) return;
+  WATCH_RUNNING = true;
+  try {
+    const now = nowUnix();
+    const watches = loadWatches();
+    let changed = false;
+    for (const [id, w] of watches) {
+      if (w.state === 'expired' && now - (w.checked_at || 0) > WATCH_KEEP_EXPIRED_SEC) { watches.delete(id); changed = true; }
+    }
+    const due = [...watches.values()].filter(w => w.state === 'active' && w.next_check_at <= now);
+    if (due.length) {
+      await runPool(due, WATCH_CONCURRENCY, (w) => checkWatch(w).catch(e => log('error', 'watch check failed', { watch: w.id, error: e.message })));
+      changed = true;
     }
+    if (changed) saveWatches();
+  } catch (e) {
+    // Runs from a timer: a failed save (read-only or full disk) must not take the process down.
+    log('error', 'watch run failed', { error: e.message });
+  } finally {
+    WATCH_RUNNING = false;
+  }
+}
+
+function startWatchScheduler(){
+  if (WATCH_TICK_SEC > 0) setInterval(runDueWatches, WATCH_TICK_SEC * 1000).unref();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Local times in responses
+// ─────────────────────────────────────────────────────────────────────────────
+// Every unix timestamp under one of these keys gets a "<key>_local" ISO string
+// (with offset) next to it, and the body says which tz was used.
+const LOCAL_TIME_KEYS = new Set([
+  'depart', 'arrive', 'depart_rt', 'arrive_rt', 'dep', 'arr', 'dep_rt', 'arr_rt',
+  'requested_time', 'chosen_time', 'departure_time', 'latest_departure', 'earliest_arrival',
+  'start_time', 'start', 'end', 'ready_at', 'earliest_start', 'latest_arrival',
+  'deadline', 'handover_done', 'closes_at', 'opens_at', 'at', 'date', 'checked_at', 'fetched_at',
+  'created_at', 'next_check_at'
+]);
+const isUnixTs = (v) => typeof v === 'number' && v > 1e8 && v < 1e11;
+
+function localizeTimes(v, tz, depth = 0){
+  if (depth > 12 || !v || typeof v !== 'object') return v;
+  if (Array.isArray(v)) return v.map(x => localizeTimes(x, tz, depth + 1));
+  const out = {};
+  for (const [k, x] of Object.entries(v)) {
+    out[k] = localizeTimes(x, tz, depth + 1);
+    if (!LOCAL_TIME_KEYS.has(k) || `${k}_local` in v) continue;
+    // Matrix grids are arrays (of arrays) of timestamps.
+    const local = (y) => Array.isArray(y) ? y.map(local) : isUnixTs(y) ? toLocalIso(y, tz) : null;
+    if (isUnixTs(x) || (Array.isArray(x) && x.flat(2).some(isUnixTs))) out[`${k}_local`] = local(x);
+  }
+  return out;
+}
+
+// ?tz= / body.tz (IANA name, default DEFAULT_TZ) → req.tz; JSON bodies get local times.
+// TIME params on these routes: now | unix seconds | ISO 8601 | "YYYY-MM-DD HH:mm" in tz.
+function zonedTimes(req, res, next){
+  const tz = String(req.query.tz || req.body?.tz || DEFAULT_TZ).trim();
+  if (!validTz(tz)) return res.status(400).json({ status:'BAD_INPUT', error:`unknown tz '${tz}' (use an IANA name like Europe/Berlin)` });
+  req.tz = tz;
+  const json = res.json.bind(res);
+  res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body) ? { ...localizeTimes(body, tz), tz } : body);
+  next();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes
+// ─────────────────────────────────────────────────────────────────────────────
+app.use(['/sixt_opening', '/branches', '/transit', '/drive', '/combined', '/reachable', '/plan', '/feasibility', '/matrix', '/watch'], zonedTimes);
+
+app.get('/health', (_, res) => res.json({ ok: true }));
+
+// Prometheus scrape with `Authorization: Bearer $METRICS_TOKEN`; off until the token is set.
+// It is in PUBLIC_PATHS, so API keys don't apply here; the token does.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+app.get('/metrics', (req, res) => {
+  if (!METRICS_TOKEN) return res.status(403).json({ ok:false, error:'metrics disabled' });
+  const bearer = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (!tokenMatches(bearer?.[1], METRICS_TOKEN)) return res.status(401).json({ ok:false, error:'unauthorized' });
+  const gauge = (help, rows) => ({ type: 'gauge', help, series: new Map(rows.map(([labels, v]) => [labelKey(labels), v ?? 0])) });
+  const caches = [...CACHES.values()].map(c => c.stats());
+  const ups = [...UPSTREAMS.keys()].map(n => [n, quotaState(n)]);
+  res.type('text/plain; version=0.0.4').send(renderMetrics([
+    ['proxy_cache_hits', gauge('Cache hits since start', caches.map(c => [{ cache: c.name }, c.hits]))],
+    ['proxy_cache_misses', gauge('Cache misses since start', caches.map(c => [{ cache: c.name }, c.misses]))],
+    ['proxy_cache_hit_ratio', gauge('Cache hit ratio since start', caches.map(c => [{ cache: c.name }, c.hit_ratio]))],
+    ['proxy_cache_entries', gauge('Entries held in memory', caches.map(c => [{ cache: c.name }, c.size]))],
+    ['proxy_upstream_quota_used', gauge('Upstream requests counted against today\'s quota', ups.map(([n, q]) => [{ upstream: n }, q.used]))]
+  ]));
+});
 
-    const found = await findSixtNear({ lat, lng }, date);
+// Parse "lat,lng" or geocode text
+async function resolveNear(near, country, provider){
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(near);
+  if (m) return { ok:true, lat:+m[1], lng:+m[2], title:`${+m[1]},${+m[2]}` };
+  return await geocode(near, country, provider);
+}
+
+// is_open_at answers for the day of `at`, which may differ from the lookup date.
+function openAtFields(branch, atInput, state, tz = DEFAULT_TZ){
+  if (atInput == null) return undefined;
+  const at = parseTs(atInput, tz);
+  const { intervals } = branchHours(branch, at, state, tz);
+  return { at, is_open_at: isOpenAt(intervals, weekdayLocal(at, tz).min) };
+}
+
+function listParam(v){
+  return (Array.isArray(v) ? v : [v]).flatMap(x => String(x || '').split(',')).map(x => x.trim()).filter(Boolean);
+}
+
+// Find nearest Sixt and its opening window for the given date (free via OSM)
+// /sixt_opening?near=...|@alias&date=TIME&at=TIME&state=BY
+// Alias of /branches?brand=sixt&radius=2000&limit=1 with the original flat response.
+app.get('/sixt_opening', async (req, res) => {
+  try{
+    const near = (req.query.near || '').trim();
+    if (!near) return res.status(400).json({ ok:false, error:'near required' });
+    const date = parseTs(req.query.date, req.tz);
+    const state = String(req.query.state || DEFAULT_STATE || '').toUpperCase();
+    const at = req.query.at != null ? parseTs(req.query.at, req.tz) : null;
+
+    const g = await resolveNear(near, (req.query.country || DEFAULT_COUNTRY || '').toLowerCase(), req.query.provider);
+    if (!g?.ok) return res.json({ ok:false, reason:'GEOCODE_FAIL' });
+
+    // A saved location with its own opening hours is the branch itself.
+    const found = g.source === 'registry' && g.opening_hours
+      ? { lat: g.lat, lng: g.lng, name: g.title, opening_hours: g.opening_hours, alias: g.alias,
+          ...branchHours(g, date, state, req.tz) }
+      : await findSixtNear({ lat: g.lat, lng: g.lng }, date, { state, tz: req.tz });
     if (found){
-      return res.json({ ok:true, ...found });
+      return res.json({ ok:true, ...found, ...openAtFields(found, at, state, req.tz) });
     }
     // No Sixt nearby → caller should fall back to offer start with default hours
     return res.json({ ok:false });
   } catch (e){
+    if (e instanceof BadInputError) return res.status(400).json({ ok:false, error:'bad_input', detail: e.message });
     return res.status(500).json({ ok:false, error:'sixt_opening_failed', detail: e.message });
   }
 });
 
-// /transit?origin=...&destination=...&arrival_time=UNIX | &departure_time=UNIX
-//         &window=90&step=10&country=de&dticket=1&debug=1
+// full: { origin, destination } as { title, lat, lng } — adds stops, intermediate
+// stops, polylines and walk endpoints; unnamed route ends get these labels.
+function formatDetails(details, full = null) {
+  const last = (details?.length || 0) - 1;
+  const end = (pl, fallback) => fallback && !pl?.name
+    ? { ...(pl || {}), name: fallback.title || null, lat: pl?.lat ?? fallback.lat, lng: pl?.lng ?? fallback.lng }
+    : pl;
+  const walk = (s, i) => {
+    const from_place = end(s.from_place, i === 0 ? full.origin : null);
+    const to_place = end(s.to_place, i === last ? full.destination : null);
+    return {
+      from: from_place?.name || '', to: to_place?.name || '',
+      duration_sec: s.duration_sec ?? null, distance_m: s.distance_m ?? null,
+      from_place, to_place, polyline: s.polyline || null
+    };
+  };
+  return details?.map((s, i) => ({
+    type: s.type,
+    line: s.line || '',
+    agency: s.agency || '',
+    from: s.from || '',
+    to:   s.to   || '',
+    dep:  s.dep  || null,
+    arr:  s.arr  || null,
+    product: s.product || '',
+    ...(s.type === 'TRANSIT' ? {
+      dep_rt: s.dep_rt ?? null, arr_rt: s.arr_rt ?? null,
+      dep_delay: s.dep_delay ?? null, arr_delay: s.arr_delay ?? null,
+      platform_dep: s.platform_dep || null, platform_arr: s.platform_arr || null,
+      cancelled: !!s.cancelled,
+      notices: s.notices || [],
+      fares: s.fares || []
+    } : {}),
+    ...(full && s.type === 'TRANSIT' ? {
+      headsign: s.headsign || null,
+      from_stop: s.from_stop || null,
+      to_stop: s.to_stop || null,
+      intermediate: s.intermediate || [],
+      polyline: s.polyline || null
+    } : {}),
+    ...(full && s.type === 'WALK' ? walk(s, i) : {})
+  })) || [];
+}
+
+// Live state of a route for responses; ctx lets the client refresh it later.
+function realtimeFields(r, ctx) {
+  return {
+    depart_rt: r.depart_rt ?? null,
+    arrive_rt: r.arrive_rt ?? null,
+    delay_sec: r.delay_sec ?? null,
+    realtime: !!r.realtime,
+    cancelled: !!r.cancelled,
+    notices: r.notices || [],
+    refresh_id: connectionRef(r, ctx)
+  };
+}
+
+// /branches?near=...&brand=sixt,europcar&radius=5000&limit=5&date=TIME&at=TIME&state=BY
+// brand may repeat or be "all"; results are nearest first.
+app.get('/branches', async (req, res) => {
+  try{
+    const near = (req.query.near || '').trim();
+    if (!near) return res.status(400).json({ ok:false, error:'near required' });
+    const date   = parseTs(req.query.date, req.tz);
+    const at     = req.query.at != null ? parseTs(req.query.at, req.tz) : null;
+    const state  = String(req.query.state || DEFAULT_STATE || '').toUpperCase();
+    const radius = Math.max(100, Math.min(MAX_BRANCH_RADIUS, parseInt(req.query.radius || '2000', 10) || 2000));
+    const limit  = Math.max(1, Math.min(MAX_BRANCH_LIMIT, parseInt(req.query.limit || '5', 10) || 5));
+    let brands   = listParam(req.query.brand).map(b => b.toLowerCase());
+    if (!brands.length) brands = ['sixt'];
+    if (brands.includes('all')) brands = Object.keys(RENTAL_BRANDS);
+
+    const g = await resolveNear(near, (req.query.country || DEFAULT_COUNTRY || '').toLowerCase(), req.query.provider);
+    if (!g?.ok) return res.status(400).json({ ok:false, reason:'GEOCODE_FAIL', near:g });
+
+    const found = await findBranchesNear({ lat: g.lat, lng: g.lng }, date, { brands, radius, limit, state, tz: req.tz });
+    if (!found) return res.status(502).json({ ok:false, reason:'OVERPASS_UNAVAILABLE' });
+
+    return res.json({
+      ok: true,
+      near: { lat: g.lat, lng: g.lng, title: g.title },
+      date, brands, radius, limit,
+      branches: found.map(b => ({ ...b, ...openAtFields(b, at, state, req.tz) }))
+    });
+  } catch (e){
+    if (e instanceof BadInputError) return res.status(400).json({ ok:false, error:'bad_input', detail: e.message });
+    return res.status(500).json({ ok:false, error:'branches_failed', detail: e.message });
+  }
+});
+
+// /geocode?q=...&country=de&provider=here → every candidate with score, type and address
+app.get('/geocode', async (req, res) => {
+  try{
+    const { prov, code, error } = pickProvider(req.query.provider);
+    if (error) return res.status(code).json({ status: code === 400 ? 'BAD_INPUT' : 'CONFIG', error });
+    const q = (req.query.q || '').trim();
+    if (!q) return res.status(400).json({ status:'BAD_INPUT', error:'q required' });
+    const country = (req.query.country || DEFAULT_COUNTRY || '').toLowerCase();
+
+    const g = await geocode(q, country, prov.name, { candidates: true });
+    if (!g?.ok) return res.status(g?.status === 'ZERO_RESULTS' ? 404 : 502).json({ status:'GEOCODE_FAIL', result:g });
+    const { candidates, ...best } = g;
+    return res.json({ status: g.ambiguous ? 'GEOCODE_AMBIGUOUS' : 'OK', query: q, best, candidates: candidates || [best] });
+  }catch(e){
+    return res.status(500).json({ status:'ERR', error:e.message });
+  }
+});
+
+// /transit?origin=...&destination=...&arrival_time=TIME | &departure_time=TIME
+//         &window=90&country=de&dticket=1&debug=1&alternatives=3&ambiguous=accept&realtime=1
+// realtime=1 ranks by live arrival and skips cancelled trips (times are always reported).
+// detail=full adds stop ids/coordinates, platforms, intermediate stops, polylines and walk legs
+// (not for ziel calls, which have no origin to walk from: walk_legs_available=false).
+// format=ics|gpx|geojson returns the best connection as a file instead of JSON.
+// compare=1[&hourly_rate=35] adds `comparison`: D-Ticket route vs fastest ICE/IC route, fare + driver time.
 // Back-compat: ?ziel=... (origin omitted). In that case we only geocode destination.
+// The old grid ?step= is refused rather than ignored: the sweep picks its own probes.
 app.get('/transit', async (req, res) => {
   try {
-    if (!HERE_API_KEY) return res.status(500).json({ error:'config', detail:'HERE_API_KEY is missing' });
+    const { prov, code, error } = pickProvider(req.query.provider);
+    if (error) return res.status(code).json({ error: code === 400 ? 'bad_provider' : 'config', detail: error });
+    if (req.query.step != null) {
+      return res.status(400).json({ error: 'bad_input', detail: 'step is no longer supported: probes follow the returned connections (use window)' });
+    }
 
     const legacyZiel  = (req.query.ziel || '').trim();
     const textOrigin  = (req.query.origin || '').trim();
@@ -511,18 +3196,29 @@ app.get('/transit', async (req, res) => {
 
     const mode = (req.query.arrival_time != null) ? 'arrive'
                : (req.query.departure_time != null) ? 'depart' : 'depart';
-    const baseTs = (mode === 'arrive') ? parseTs(req.query.arrival_time)
-                                       : parseTs(req.query.departure_time);
+    const baseTs = (mode === 'arrive') ? parseTs(req.query.arrival_time, req.tz)
+                                       : parseTs(req.query.departure_time, req.tz);
 
     const windowMin = Math.max(0, parseInt(req.query.window || '60', 10));
-    const stepMin   = Math.max(1, parseInt(req.query.step   || '10', 10));
     const dticket   = String(req.query.dticket || '') === '1';
     const debug     = String(req.query.debug   || '') === '1';
+    const realtime  = String(req.query.realtime || '') === '1';
+    const compare   = String(req.query.compare || '') === '1';
+    const format    = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'json' && !EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be json|${Object.keys(EXPORT_FORMATS).join('|')}` });
+    }
+    // Map exports need the section polylines.
+    const full      = req.query.detail === 'full' || format === 'gpx' || format === 'geojson';
+    const hourlyRate = req.query.hourly_rate != null && Number(req.query.hourly_rate) >= 0
+      ? Number(req.query.hourly_rate) : DRIVER_HOURLY_RATE;
     const country   = (req.query.country || DEFAULT_COUNTRY || '').toLowerCase();
+    const alternatives = req.query.alternatives != null
+      ? Math.max(1, Math.min(MAX_ALTERNATIVES, parseInt(req.query.alternatives, 10) || 1)) : 0;
 
     const [gO, gD] = await Promise.all([
-      textOrigin ? geocode(textOrigin, country) : null,
-      geocode(textDest, country)
+      textOrigin ? geocode(textOrigin, country, prov.name) : null,
+      geocode(textDest, country, prov.name)
     ]);
 
     if (!gD?.ok) {
@@ -531,20 +3227,27 @@ app.get('/transit', async (req, res) => {
     if (textOrigin && !gO?.ok) {
       return res.status(400).json({ status:'GEOCODE_FAIL', origin:gO, destination:gD });
     }
+    const unsure = req.query.ambiguous !== 'accept' && ambiguousGeocodes({ origin:gO, destination:gD });
+    if (unsure) return res.status(409).json({ status:'GEOCODE_AMBIGUOUS', ...unsure });
 
     // If origin omitted, dummy self-origin (legacy) → 0 duration
     const originPos = gO?.ok ? { lat: gO.lat, lng: gO.lng } : { lat: gD.lat, lng: gD.lng };
 
-    const { ok, best, trace, status } = await sweepTransit({
+    // A comparison without the D-Ticket filter reuses this sweep, so ask it for every
+    // alternative the comparison would have; the response still lists only `alternatives`.
+    const { ok, best, ranked, trace, probes, status, violations, latest_departure, earliest_arrival } = await sweepTransit({
       origin: originPos,
       destination: { lat: gD.lat, lng: gD.lng },
-      baseTs, mode, windowMin, stepMin, dticket, debug
+      baseTs, mode, windowMin, dticket, debug, provider: prov.name, realtime, full,
+      alternatives: compare && !dticket ? MAX_ALTERNATIVES : alternatives
     });
 
     if (!ok) {
       return res.status(502).json({
         status: status || 'ZERO_RESULTS',
-        message: 'No routes in window',
+        message: status === 'REJECTED_D_TICKET' ? 'Only routes not covered by the D-Ticket'
+               : status === 'HTTP_ERROR' ? 'Routing upstream unavailable' : 'No routes in window',
+        d_ticket_violations: violations?.length ? violations : undefined,
         origin_geocoded: gO?.ok ? { lat:gO.lat, lng:gO.lng, title:gO.title } : null,
         destination_geocoded: { lat:gD.lat, lng:gD.lng, title:gD.title },
         probed: debug ? trace : undefined
@@ -553,10 +3256,26 @@ app.get('/transit', async (req, res) => {
 
     const duration = best.durationSec || 0;
     const minutes  = Math.round(duration / 60);
+    const refCtx   = { provider: prov.name, origin: originPos, destination: { lat: gD.lat, lng: gD.lng }, dticket };
+    // Legacy ziel calls have no origin, so the route has no real start: walk legs are
+    // left unlabelled and `walk_legs_available` says so.
+    const ends     = gO?.ok ? {
+      origin: { title: gO.title, lat: gO.lat, lng: gO.lng },
+      destination: { title: gD.title, lat: gD.lat, lng: gD.lng }
+    } : {};
+    if (format !== 'json') {
+      return sendExport(res, format, formatDetails(best.details, ends), {
+        name: gO?.ok ? `${gO.title} → ${gD.title}` : gD.title, kind: 'transit', depart: best.depart, arrive: best.arrive
+      });
+    }
+    const comparison = compare ? await compareTicketCosts({
+      origin: originPos, destination: refCtx.destination, baseTs, mode, windowMin,
+      provider: prov.name, hourlyRate, dticketBest: dticket ? best : null, openRanked: dticket ? null : ranked
+    }) : undefined;
 
     return res.json({
       status: 'OK',
-      provider: 'here',
+      provider: best.provider || prov.name,
       origin: gO?.ok ? gO.title : null,
       destination: gD.title,
       mode,
@@ -566,62 +3285,590 @@ app.get('/transit', async (req, res) => {
       duration_minutes: minutes,
       depart: best.depart || null,
       arrive: best.arrive || null,
-      details: best.details?.map(s => ({
-        type: s.type,
-        line: s.line || '',
-        agency: s.agency || '',
-        from: s.from || '',
-        to:   s.to   || '',
-        dep:  s.dep  || null,
-        arr:  s.arr  || null,
-        product: s.product || ''
-      })) || [],
+      latest_departure: mode === 'arrive' ? latest_departure : undefined,
+      earliest_arrival: mode === 'depart' ? earliest_arrival : undefined,
+      ...realtimeFields(best, refCtx),
+      fare: best.fare || null,
+      walk_legs_available: full ? !!gO?.ok : undefined,
+      walk_to_first_stop: full ? (gO?.ok ? best.walk_to_first_stop : null) : undefined,
+      details: formatDetails(best.details, full ? ends : null),
+      excluded_modes: best.excluded_modes,
+      alternatives: alternatives ? ranked.slice(0, alternatives).map(r => ({
+        rank: r.rank,
+        ranked_by: r.ranked_by,
+        score: r.score,
+        chosen_time: r.ts,
+        duration: r.durationSec || 0,
+        duration_minutes: Math.round((r.durationSec || 0) / 60),
+        depart: r.depart || null,
+        arrive: r.arrive || null,
+        ...realtimeFields(r, refCtx),
+        fare: r.fare || null,
+        walk_to_first_stop: full ? (gO?.ok ? r.walk_to_first_stop : null) : undefined,
+        details: formatDetails(r.details, full ? ends : null)
+      })) : undefined,
+      comparison,
+      probes: debug ? probes : undefined,
       probed: debug ? trace : undefined
     });
   } catch (err) {
+    if (err instanceof BadInputError) return res.status(400).json({ error: 'bad_input', detail: err.message });
     res.status(500).json({ error: 'proxy_error', detail: err.message });
   }
 });
 
+// /transit/refresh?id=<refresh_id from /transit>[&detail=full] → the same connection with live
+// delays/platforms/notices; status CANCELLED or NOT_FOUND when it no longer runs.
+app.get('/transit/refresh', async (req, res) => {
+  try {
+    if (!req.query.id) return res.status(400).json({ status:'BAD_INPUT', error:'id missing' });
+    const full = req.query.detail === 'full';
+    const r = await refreshConnection(req.query.id, { full });
+    if (!r.ok) {
+      const code = r.status === 'BAD_INPUT' ? 400 : r.status === 'CONFIG' ? 500 : r.status === 'NOT_FOUND' ? 404 : 502;
+      return res.status(code).json({ status: r.status, error: r.error || null, d_ticket_violations: r.violations });
+    }
+    return res.json({
+      status: r.cancelled ? 'CANCELLED' : 'OK',
+      provider: r.provider,
+      checked_at: nowUnix(),
+      duration: r.durationSec || 0,
+      depart: r.depart || null,
+      arrive: r.arrive || null,
+      depart_rt: r.depart_rt ?? null,
+      arrive_rt: r.arrive_rt ?? null,
+      delay_sec: r.delay_sec ?? null,
+      realtime: !!r.realtime,
+      cancelled: !!r.cancelled,
+      notices: r.notices || [],
+      details: formatDetails(r.details, full ? {} : null)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'proxy_error', detail: err.message });
+  }
+});
+
+// ?vehicle=&avoid=&gross_weight=&height= as driveOnce options, or { error }.
+function driveOptions(q){
+  const profile = String(q.vehicle || 'car').toLowerCase();
+  if (!DRIVE_PROFILES[profile]) return { error:`vehicle must be ${Object.keys(DRIVE_PROFILES).join('|')}` };
+  const avoid = listParam(q.avoid).map(a => a.toLowerCase());
+  const badAvoid = avoid.filter(a => !DRIVE_AVOID[a]);
+  if (badAvoid.length) return { error:`unknown avoid: ${badAvoid.join(',')}` };
+  return { profile, avoid, vehicle: { grossWeight: parseInt(q.gross_weight, 10), height: parseInt(q.height, 10) } };
+}
+
+// /drive?origin=...&destination=...&departure_time=TIME | &arrival_time=TIME
+//       &vehicle=car|van|truck&avoid=tolls,ferries&gross_weight=KG&height=CM&country=de&polyline=1&ambiguous=accept
+//       &format=ics|gpx|geojson
 app.get('/drive', async (req, res) => {
   try{
-    if (!HERE_API_KEY) return res.status(500).json({ status:'CONFIG', error:'HERE_API_KEY missing' });
+    const { prov, code, error } = pickProvider(req.query.provider);
+    if (error) return res.status(code).json({ status: code === 400 ? 'BAD_INPUT' : 'CONFIG', error });
     const textOrigin = (req.query.origin || '').trim();
     const textDest   = (req.query.destination || '').trim();
     if (!textOrigin || !textDest) return res.status(400).json({ status:'BAD_INPUT' });
 
-    const [gO, gD] = await Promise.all([ geocode(textOrigin, DEFAULT_COUNTRY), geocode(textDest, DEFAULT_COUNTRY) ]);
+    const opts = driveOptions(req.query);
+    if (opts.error) return res.status(400).json({ status:'BAD_INPUT', error:opts.error });
+    const { profile, avoid, vehicle } = opts;
+    const arriveTs = req.query.arrival_time != null ? parseTs(req.query.arrival_time, req.tz) : null;
+    const departTs = arriveTs == null && req.query.departure_time != null ? parseTs(req.query.departure_time, req.tz) : null;
+    const format   = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'json' && !EXPORT_FORMATS[format]) {
+      return res.status(400).json({ status:'BAD_INPUT', error:`format must be json|${Object.keys(EXPORT_FORMATS).join('|')}` });
+    }
+    const polyline = String(req.query.polyline || '') === '1' || format === 'gpx' || format === 'geojson';
+    const country  = (req.query.country || DEFAULT_COUNTRY || '').toLowerCase();
+
+    const [gO, gD] = await Promise.all([ geocode(textOrigin, country, prov.name), geocode(textDest, country, prov.name) ]);
     if (!gO?.ok || !gD?.ok) return res.status(400).json({ status:'GEOCODE_FAIL', origin:gO, destination:gD });
+    const unsure = req.query.ambiguous !== 'accept' && ambiguousGeocodes({ origin:gO, destination:gD });
+    if (unsure) return res.status(409).json({ status:'GEOCODE_AMBIGUOUS', ...unsure });
+
+    const r = await driveOnce({ provider: prov.name, origin: gO, destination: gD, departTs, arriveTs, profile, avoid, vehicle, polyline });
+    if (!r.ok) return res.status(502).json({ status:r.status, code:r.code, provider:r.provider });
 
-    const base = 'https://router.hereapi.com/v8/routes';
-    const p = new URLSearchParams({
-      apiKey: HERE_API_KEY,
-      transportMode: 'car',
-      origin: `${gO.lat},${gO.lng}`,
-      destination: `${gD.lat},${gD.lng}`,
-      return: 'summary',
-      routingMode: 'fast'
+    const dur = r.durationSec;
+    const minutes = Math.round((dur||0)/60);
+    if (format !== 'json') {
+      // OSRM gives GeoJSON, HERE flexible polylines; without either, a straight line.
+      const path = r.geometry?.coordinates?.map(([ln, la]) => [la, ln])
+                || (r.polylines || []).flatMap(pl => { try { return decodeFlexPolyline(pl); } catch { return []; } });
+      const section = {
+        type: 'DRIVE', line: '', from: gO.title, to: gD.title, dep: r.depart ?? null, arr: r.arrive ?? null,
+        path: path.length > 1 ? path : [[gO.lat, gO.lng], [gD.lat, gD.lng]]
+      };
+      return sendExport(res, format, [section], { name: `${gO.title} → ${gD.title}`, kind: 'drive', depart: r.depart, arrive: r.arrive });
+    }
+    return res.json({
+      status:'OK',
+      provider:r.provider,
+      origin: gO.title,
+      destination: gD.title,
+      vehicle: profile,
+      avoid,
+      duration_seconds:dur||0,
+      duration_minutes:minutes,
+      typical_duration_seconds: r.typicalDurationSec ?? null,
+      base_duration_seconds: r.baseDurationSec ?? null,
+      traffic_delay_seconds: r.typicalDurationSec != null ? dur - r.typicalDurationSec : null,
+      distance_m: r.distanceM ?? null,
+      distance_km: r.distanceM != null ? Math.round(r.distanceM / 100) / 10 : null,
+      toll_cost: r.toll || null,
+      depart: r.depart ?? null,
+      arrive: r.arrive ?? null,
+      polyline: polyline ? (r.polylines || null) : undefined,
+      geometry: polyline ? r.geometry : undefined
     });
-    const r = await fetch(`${base}?${p.toString()}`);
-    if (!r.ok) return res.status(502).json({ status:'HTTP_ERROR', code:r.status });
-
-    const j = await r.json();
-    const route = j.routes?.[0];
-    let dur = 0;
-    if (route?.sections?.length){
-      for (const s of route.sections){
-        const sec = s.summary?.duration || 0;
-        if (Number.isFinite(sec)) dur += sec;
-      }
+  }catch(e){
+    if (e instanceof BadInputError) return res.status(400).json({ status:'BAD_INPUT', error:e.message });
+    return res.status(500).json({ status:'ERR', error:e.message });
+  }
+});
+
+// POST /plan  { start_time, country, window, debug,
+//               legs:[{ type:'drive'|'transit', origin, destination, earliest_start, latest_arrival, dticket }] }
+// A leg without origin starts where the previous leg ended.
+app.post('/plan', async (req, res) => {
+  try{
+    const body = req.body || {};
+    const { prov, code, error } = pickProvider(body.provider || req.query.provider);
+    if (error) return res.status(code).json({ status: code === 400 ? 'BAD_INPUT' : 'CONFIG', error });
+    const legs = Array.isArray(body.legs) ? body.legs : null;
+    if (!legs || !legs.length) return res.status(400).json({ status:'BAD_INPUT', error:'legs required' });
+    if (legs.length > MAX_PLAN_LEGS) return res.status(400).json({ status:'BAD_INPUT', error:`max ${MAX_PLAN_LEGS} legs` });
+
+    const startTs   = parseTs(body.start_time, req.tz);
+    const windowMin = Math.max(0, parseInt(body.window || '60', 10));
+    const country   = String(body.country || DEFAULT_COUNTRY || '').toLowerCase();
+    const debug     = body.debug === true || String(body.debug || '') === '1';
+
+    const plan = await planDay({ legs, startTs, country, windowMin, debug, provider: prov.name, tz: req.tz });
+    return res.json(plan);
+  }catch(e){
+    if (e instanceof BadInputError) return res.status(400).json({ status:'BAD_INPUT', error:e.message });
+    return res.status(500).json({ status:'ERR', error:e.message });
+  }
+});
+
+// /feasibility?origin=...&branch=...&next_pickup=...&departure_time=TIME
+//             &deadline=TIME&handover=10&brand=sixt&window=120&dticket=1&state=BY&debug=1
+// Without deadline the driver must reach the (same-brand) branch at next_pickup before it closes.
+app.get('/feasibility', async (req, res) => {
+  try{
+    const { prov, code, error } = pickProvider(req.query.provider);
+    if (error) return res.status(code).json({ status: code === 400 ? 'BAD_INPUT' : 'CONFIG', error });
+    const textOrigin = (req.query.origin || '').trim();
+    const textBranch = (req.query.branch || '').trim();
+    const textPickup = (req.query.next_pickup || '').trim();
+    if (!textOrigin || !textBranch || !textPickup) {
+      return res.status(400).json({ status:'BAD_INPUT', error:'origin, branch and next_pickup required' });
     }
-    const minutes = Math.round((dur||0)/60);
-    return res.json({ status:'OK', duration_seconds:dur||0, duration_minutes:minutes });
+
+    const country     = (req.query.country || DEFAULT_COUNTRY || '').toLowerCase();
+    const state       = String(req.query.state || DEFAULT_STATE || '').toUpperCase();
+    const departTs    = parseTs(req.query.departure_time, req.tz);
+    const deadlineTs  = req.query.deadline != null ? parseTs(req.query.deadline, req.tz) : null;
+    const handoverMin = Math.max(0, parseInt(req.query.handover ?? DEFAULT_HANDOVER_MIN, 10) || 0);
+    const windowMin   = Math.max(0, parseInt(req.query.window || '120', 10));
+    const dticket     = String(req.query.dticket || '') === '1';
+    const debug       = String(req.query.debug   || '') === '1';
+    let brands        = listParam(req.query.brand).map(b => b.toLowerCase());
+    if (!brands.length) brands = ['sixt'];
+
+    const [gO, gB, gP] = await Promise.all([
+      resolveNear(textOrigin, country, prov.name), resolveNear(textBranch, country, prov.name), resolveNear(textPickup, country, prov.name)
+    ]);
+    if (!gO?.ok || !gB?.ok || !gP?.ok) {
+      return res.status(400).json({ status:'GEOCODE_FAIL', origin:gO, branch:gB, next_pickup:gP });
+    }
+
+    const out = await checkFeasibility({
+      gO,
+      branchPos: { lat: gB.lat, lng: gB.lng },
+      pickupPos: { lat: gP.lat, lng: gP.lng },
+      departTs, deadlineTs, handoverMin, brands, state, windowMin, dticket, debug, provider: prov.name, tz: req.tz
+    });
+    if (['OVERPASS_UNAVAILABLE', 'HTTP_ERROR', 'UNSUPPORTED'].includes(out.status)) return res.status(502).json(out);
+    if (out.status !== 'OK') return res.status(404).json(out);
+    return res.json(out);
   }catch(e){
+    if (e instanceof BadInputError) return res.status(400).json({ status:'BAD_INPUT', error:e.message });
     return res.status(500).json({ status:'ERR', error:e.message });
   }
 });
 
-app.listen(PORT, () => console.log(`Proxy listening on ${PORT}`));
+// /combined?origin=...&via=...&destination=...&order=drive_transit|transit_drive&departure_time=TIME
+//          &handover=10&window=60&dticket=1&brand=sixt&state=BY&detail=full&debug=1
+//          &vehicle=car&avoid=tolls&ambiguous=accept
+// With brand, via snaps to the nearest branch of that brand (within 2 km).
+app.get('/combined', async (req, res) => {
+  try{
+    const { prov, code, error } = pickProvider(req.query.provider);
+    if (error) return res.status(code).json({ status: code === 400 ? 'BAD_INPUT' : 'CONFIG', error });
+    const textOrigin = (req.query.origin || '').trim();
+    const textVia    = (req.query.via || '').trim();
+    const textDest   = (req.query.destination || '').trim();
+    if (!textOrigin || !textVia || !textDest) return res.status(400).json({ status:'BAD_INPUT', error:'origin, via and destination required' });
+    const order = String(req.query.order || 'drive_transit').toLowerCase();
+    if (!COMBINED_ORDERS.includes(order)) return res.status(400).json({ status:'BAD_INPUT', error:`order must be ${COMBINED_ORDERS.join('|')}` });
+    const opts = driveOptions(req.query);
+    if (opts.error) return res.status(400).json({ status:'BAD_INPUT', error:opts.error });
+
+    const country     = (req.query.country || DEFAULT_COUNTRY || '').toLowerCase();
+    const state       = String(req.query.state || DEFAULT_STATE || '').toUpperCase();
+    const departTs    = parseTs(req.query.departure_time, req.tz);
+    const handoverMin = Math.max(0, parseInt(req.query.handover ?? DEFAULT_HANDOVER_MIN, 10) || 0);
+    const windowMin   = Math.max(0, parseInt(req.query.window || '60', 10));
+    const dticket     = String(req.query.dticket || '') === '1';
+    const debug       = String(req.query.debug   || '') === '1';
+    const full        = String(req.query.detail || '').toLowerCase() === 'full';
+    const brands      = listParam(req.query.brand).map(b => b.toLowerCase());
+
+    const [gO, gV, gD] = await Promise.all([
+      resolveNear(textOrigin, country, prov.name), resolveNear(textVia, country, prov.name), resolveNear(textDest, country, prov.name)
+    ]);
+    if (!gO?.ok || !gV?.ok || !gD?.ok) return res.status(400).json({ status:'GEOCODE_FAIL', origin:gO, via:gV, destination:gD });
+    const unsure = req.query.ambiguous !== 'accept' && ambiguousGeocodes({ origin:gO, via:gV, destination:gD });
+    if (unsure) return res.status(409).json({ status:'GEOCODE_AMBIGUOUS', ...unsure });
+
+    let via = gV, branch = null;
+    if (brands.length) {
+      const found = await findBranchesNear({ lat: gV.lat, lng: gV.lng }, departTs, { brands, radius: 2000, limit: 1, state, tz: req.tz });
+      if (!found) return res.status(502).json({ status:'OVERPASS_UNAVAILABLE' });
+      if (!found.length) return res.status(404).json({ status:'NO_BRANCH', via:{ lat:gV.lat, lng:gV.lng, title:gV.title } });
+      const { intervals, open_hhmm, close_hhmm, closed, holiday, hours_source, ...b } = found[0];
+      branch = b;
+      via = { ok:true, lat: b.lat, lng: b.lng, title: b.name };
+    }
+
+    const out = await combinedRoute({
+      order, gO, gV: via, gD, departTs, handoverMin, windowMin, dticket, debug, full, branch, state, tz: req.tz,
+      provider: prov.name, drive: opts
+    });
+    if (out.status !== 'OK') return res.status(['HTTP_ERROR', 'UNSUPPORTED'].includes(out.status) ? 502 : 404).json(out);
+    return res.json({
+      ...out,
+      provider: prov.name,
+      origin: gO.title,
+      via: via.title,
+      destination: gD.title
+    });
+  }catch(e){
+    if (e instanceof BadInputError) return res.status(400).json({ status:'BAD_INPUT', error:e.message });
+    return res.status(500).json({ status:'ERR', error:e.message });
+  }
+});
+
+// /reachable?origin=...&departure_time=TIME&brand=sixt,europcar&radius=15000&limit=10
+//           &handover=10&dticket=1&state=BY&debug=1
+app.get('/reachable', async (req, res) => {
+  let reserved = 0;
+  try{
+    const { prov, code, error } = pickProvider(req.query.provider);
+    if (error) return res.status(code).json({ status: code === 400 ? 'BAD_INPUT' : 'CONFIG', error });
+    const textOrigin = (req.query.origin || '').trim();
+    if (!textOrigin) return res.status(400).json({ status:'BAD_INPUT', error:'origin required' });
+
+    const country     = (req.query.country || DEFAULT_COUNTRY || '').toLowerCase();
+    const state       = String(req.query.state || DEFAULT_STATE || '').toUpperCase();
+    const departTs    = parseTs(req.query.departure_time, req.tz);
+    const radius      = Math.max(100, Math.min(REACHABLE_MAX_RADIUS, parseInt(req.query.radius || '15000', 10) || 15000));
+    const limit       = Math.max(1, Math.min(REACHABLE_MAX_BRANCHES, parseInt(req.query.limit || '10', 10) || 10));
+    const handoverMin = Math.max(0, parseInt(req.query.handover ?? DEFAULT_HANDOVER_MIN, 10) || 0);
+    const dticket     = String(req.query.dticket || '') === '1';
+    const debug       = String(req.query.debug   || '') === '1';
+    let brands        = listParam(req.query.brand).map(b => b.toLowerCase());
+    if (!brands.length) brands = ['sixt'];
+    if (brands.includes('all')) brands = Object.keys(RENTAL_BRANDS);
+    if (MATRIX_ACTIVE_CELLS + limit > MATRIX_GLOBAL_MAX_CELLS) {
+      return res.status(429).json({ status:'BUSY', error:'too many matrix cells in flight; retry shortly' });
+    }
+    reserved = limit;
+    MATRIX_ACTIVE_CELLS += reserved;
+
+    const gO = await resolveNear(textOrigin, country, prov.name);
+    if (!gO?.ok) return res.status(400).json({ status:'GEOCODE_FAIL', origin:gO });
+
+    const out = await reachableBranches({ gO, departTs, brands, radius, limit, handoverMin, dticket, state, debug, provider: prov.name, tz: req.tz });
+    if (out.status !== 'OK') return res.status(502).json(out);
+    return res.json({
+      status: 'OK',
+      provider: prov.name,
+      origin: { lat: gO.lat, lng: gO.lng, title: gO.title },
+      departure_time: departTs,
+      brands, radius, dticket,
+      handover_minutes: handoverMin,
+      count: out.branches.length,
+      reachable_count: out.branches.filter(b => b.reachable).length,
+      branches: out.branches
+    });
+  }catch(e){
+    if (e instanceof BadInputError) return res.status(400).json({ status:'BAD_INPUT', error:e.message });
+    return res.status(500).json({ status:'ERR', error:e.message });
+  }finally{
+    MATRIX_ACTIVE_CELLS -= reserved;
+  }
+});
+
+// POST /matrix { origins:[...], destinations:[...], mode:'car'|'transit'|'both',
+//                departure_time, window:30, dticket, country, provider, ambiguous:'accept' }
+// transit durations run from departure_time to arrival (waiting included).
+app.post('/matrix', async (req, res) => {
+  let reserved = 0;
+  try{
+    const body = req.body || {};
+    const { prov, code, error } = pickProvider(body.provider || req.query.provider);
+    if (error) return res.status(code).json({ status: code === 400 ? 'BAD_INPUT' : 'CONFIG', error });
+
+    const origins = Array.isArray(body.origins) ? body.origins.filter(x => String(x || '').trim()) : [];
+    const destinations = Array.isArray(body.destinations) ? body.destinations.filter(x => String(x || '').trim()) : [];
+    if (!origins.length || !destinations.length) return res.status(400).json({ status:'BAD_INPUT', error:'origins and destinations required' });
+    if (origins.length > MATRIX_MAX_SIDE || destinations.length > MATRIX_MAX_SIDE) {
+      return res.status(400).json({ status:'BAD_INPUT', error:`max ${MATRIX_MAX_SIDE} origins and ${MATRIX_MAX_SIDE} destinations` });
+    }
+    const mode = String(body.mode || 'car').toLowerCase();
+    const modes = mode === 'both' ? ['car', 'transit'] : [mode];
+    if (!modes.every(m => m === 'car' || m === 'transit')) return res.status(400).json({ status:'BAD_INPUT', error:'mode must be car, transit or both' });
+
+    const cells = origins.length * destinations.length;
+    if (cells > MATRIX_MAX_CELLS) return res.status(400).json({ status:'BAD_INPUT', error:`max ${MATRIX_MAX_CELLS} cells per request` });
+    if (MATRIX_ACTIVE_CELLS + cells * modes.length > MATRIX_GLOBAL_MAX_CELLS) {
+      return res.status(429).json({ status:'BUSY', error:'too many matrix cells in flight; retry shortly' });
+    }
+    reserved = cells * modes.length;
+    MATRIX_ACTIVE_CELLS += reserved;
+
+    const baseTs    = parseTs(body.departure_time, req.tz);
+    const windowMin = Math.max(0, Math.min(120, parseInt(body.window || '30', 10)));
+    const out = await buildMatrix({
+      origins, destinations, modes, baseTs, windowMin,
+      dticket: body.dticket === true || String(body.dticket || '') === '1',
+      country: String(body.country || DEFAULT_COUNTRY || '').toLowerCase(),
+      provider: prov.name,
+      acceptAmbiguous: body.ambiguous === 'accept'
+    });
+    return res.json({ status:'OK', provider:prov.name, mode, departure_time:baseTs, ...out });
+  }catch(e){
+    if (e instanceof BadInputError) return res.status(400).json({ status:'BAD_INPUT', error:e.message });
+    return res.status(500).json({ status:'ERR', error:e.message });
+  }finally{
+    MATRIX_ACTIVE_CELLS -= reserved;
+  }
+});
+
+// ─── /locations CRUD ──────────────────────────────────────────────────────────
+// GET /locations?q=text → all (filtered by alias/name substring)
+app.get('/locations', (req, res) => {
+  const q = String(req.query.q || '').toLowerCase();
+  const list = [...loadLocations().values()]
+    .filter(r => !q || r.alias.includes(q) || String(r.name || '').toLowerCase().includes(q))
+    .sort((a, b) => a.alias.localeCompare(b.alias));
+  res.json({ ok:true, count:list.length, locations:list });
+});
+
+app.get('/locations/:alias', (req, res) => {
+  const rec = loadLocations().get(String(req.params.alias).replace(/^@/, '').toLowerCase());
+  if (!rec) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, location:rec });
+});
+
+const LOCATIONS_READONLY = { ok:false, error:'LOCATIONS_FILE not set; the registry is read-only' };
+
+// POST /locations { alias, name, lat, lng | address, country, opening_hours, notes }
+app.post('/locations', async (req, res) => {
+  try{
+    if (!LOCATIONS_FILE) return res.status(503).json(LOCATIONS_READONLY);
+    const alias = String(req.body?.alias || '').replace(/^@/, '').toLowerCase();
+    if (loadLocations().has(alias)) return res.status(409).json({ ok:false, error:'alias exists; use PUT' });
+    const { rec, error, geocode: g } = await buildLocation(req.body || {});
+    if (error) return res.status(400).json({ ok:false, error, geocode:g });
+    // Checked again: another create may have landed while this one geocoded.
+    if (loadLocations().has(rec.alias)) return res.status(409).json({ ok:false, error:'alias exists; use PUT' });
+    updateLocation(rec.alias, rec);
+    res.status(201).json({ ok:true, location:rec });
+  }catch(e){
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+// PUT /locations/:alias → update the given fields (creates when missing)
+app.put('/locations/:alias', async (req, res) => {
+  try{
+    if (!LOCATIONS_FILE) return res.status(503).json(LOCATIONS_READONLY);
+    const alias = String(req.params.alias).replace(/^@/, '').toLowerCase();
+    const existing = loadLocations().get(alias);
+    const { rec, error, geocode: g } = await buildLocation({ ...(req.body || {}), alias }, existing);
+    if (error) return res.status(400).json({ ok:false, error, geocode:g });
+    updateLocation(rec.alias, rec);
+    res.status(existing ? 200 : 201).json({ ok:true, location:rec });
+  }catch(e){
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+app.delete('/locations/:alias', (req, res) => {
+  try{
+    if (!LOCATIONS_FILE) return res.status(503).json(LOCATIONS_READONLY);
+    const alias = String(req.params.alias).replace(/^@/, '').toLowerCase();
+    if (!loadLocations().has(alias)) return res.status(404).json({ ok:false, error:'not found' });
+    updateLocation(alias, null);
+    res.json({ ok:true, deleted:alias });
+  }catch(e){
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+// ─── /watch subscriptions ─────────────────────────────────────────────────────
+// POST /watch { refresh_id, arrive | transit:<a /transit response>, webhook_url,
+//               threshold_minutes:5, interval_seconds:300, secret }
+// Watches are visible to the API key that created them.
+const ownWatch = (req) => {
+  const w = loadWatches().get(String(req.params.id));
+  return w && w.owner === (req.apiClient || null) ? w : null;
+};
+
+app.post('/watch', async (req, res) => {
+  try{
+    if (loadWatches().size >= WATCH_MAX) return res.status(429).json({ ok:false, error:`max ${WATCH_MAX} watches` });
+    const { rec, error } = buildWatch(req.body || {}, { owner: req.apiClient, tz: req.tz });
+    if (error) return res.status(400).json({ ok:false, error });
+    const refused = await webhookTargetError(new URL(rec.webhook_url));
+    if (refused) return res.status(400).json({ ok:false, error: refused });
+    loadWatches().set(rec.id, rec);
+    try { saveWatches(); } catch (e) { loadWatches().delete(rec.id); throw e; }
+    res.status(201).json({ ok:true, watch:publicWatch(rec) });
+  }catch(e){
+    if (e instanceof BadInputError) return res.status(400).json({ ok:false, error:e.message });
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+app.get('/watch', (req, res) => {
+  const list = [...loadWatches().values()].filter(w => w.owner === (req.apiClient || null)).map(publicWatch);
+  res.json({ ok:true, count:list.length, watches:list });
+});
+
+app.get('/watch/:id', (req, res) => {
+  const w = ownWatch(req);
+  if (!w) return res.status(404).json({ ok:false, error:'not found' });
+  res.json({ ok:true, watch:publicWatch(w) });
+});
+
+// POST /watch/:id/check → re-evaluate now (and send the webhook if it fires)
+app.post('/watch/:id/check', async (req, res) => {
+  try{
+    const w = ownWatch(req);
+    if (!w) return res.status(404).json({ ok:false, error:'not found' });
+    const out = await checkWatch(w);
+    saveWatches();
+    res.json({ ok:true, watch:publicWatch(out.watch), alert:out.alert || null, delivery:out.delivery || null });
+  }catch(e){
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+app.delete('/watch/:id', (req, res) => {
+  try{
+    const w = ownWatch(req);
+    if (!w) return res.status(404).json({ ok:false, error:'not found' });
+    loadWatches().delete(w.id);
+    saveWatches();
+    res.json({ ok:true, deleted:w.id });
+  }catch(e){
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+// ─── Admin: cache inspection ──────────────────────────────────────────────────
+// Disabled unless ADMIN_TOKEN is set; send it as "x-admin-token".
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Constant-time token check; hashing first gives timingSafeEqual equal lengths.
+function tokenMatches(given, want){
+  const h = (v) => crypto.createHash('sha256').update(String(v || '')).digest();
+  return !!want && crypto.timingSafeEqual(h(given), h(want));
+}
+
+function requireAdmin(req, res, next){
+  if (!ADMIN_TOKEN) return res.status(403).json({ ok:false, error:'admin disabled' });
+  if (!tokenMatches(req.get('x-admin-token'), ADMIN_TOKEN)) return res.status(401).json({ ok:false, error:'unauthorized' });
+  next();
+}
+
+// GET /admin/cache → stats of every cache
+app.get('/admin/cache', requireAdmin, (req, res) => {
+  res.json({ ok:true, caches: [...CACHES.values()].map(c => c.stats()) });
+});
+
+// GET /admin/cache/:name?prefix=...&limit=50&values=1 → keys (and values) by prefix
+app.get('/admin/cache/:name', requireAdmin, async (req, res) => {
+  try{
+    const cache = CACHES.get(req.params.name);
+    if (!cache) return res.status(404).json({ ok:false, error:`unknown cache (${[...CACHES.keys()].join(', ')})` });
+    const prefix = String(req.query.prefix || '');
+    const limit  = Math.max(1, Math.min(1000, parseInt(req.query.limit || '50', 10) || 50));
+    const keys = await cache.keys(prefix, limit);
+    const entries = String(req.query.values || '') === '1'
+      ? await Promise.all(keys.map(async k => ({ key: k, value: await cache.peek(k) })))
+      : keys.map(k => ({ key: k }));
+    res.json({ ok:true, stats: cache.stats(), prefix, entries });
+  }catch(e){
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+// DELETE /admin/cache/:name?prefix=... → purge matching entries (no prefix = everything)
+app.delete('/admin/cache/:name', requireAdmin, async (req, res) => {
+  try{
+    const cache = CACHES.get(req.params.name);
+    if (!cache) return res.status(404).json({ ok:false, error:`unknown cache (${[...CACHES.keys()].join(', ')})` });
+    const purged = await cache.purge(String(req.query.prefix || ''));
+    res.json({ ok:true, cache: cache.name, purged });
+  }catch(e){
+    res.status(500).json({ ok:false, error:e.message });
+  }
+});
+
+// Per-key request counts since start (keys themselves are never echoed).
+app.get('/admin/keys', requireAdmin, (req, res) => {
+  const keys = [...(API_KEYS?.values() || [])].map(k => ({
+    name: k.name, signed: !!k.secret, routes: k.routes, origins: k.origins,
+    usage: KEY_USAGE.get(k.name) || { requests: 0, denied: 0, routes: {}, last_used: null }
+  }));
+  res.json({ ok:true, auth: !!API_KEYS, keys });
+});
+
+// Upstream usage today: quota, rate limit and retry/timeout counters per upstream.
+app.get('/admin/upstreams', requireAdmin, (req, res) => {
+  const out = {};
+  for (const name of new Set([...Object.keys(UPSTREAM_DEFAULTS), ...UPSTREAMS.keys()])) {
+    const u = upstream(name);
+    out[name] = { rps: u.rps, burst: u.burst, timeout_ms: u.timeoutMs, quota: quotaState(name), ...u.stats };
+  }
+  res.json({ ok:true, upstreams: out });
+});
+
+// `node server.js` serves; require('./server') only builds the app (tests, @vercel/node).
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log('info', `Proxy listening on ${PORT}`, { port: Number(PORT) });
+    startWatchScheduler();
+  });
+}
+
+module.exports = app;
+// Seams for tests: outbound fetch, the watch scheduler and pure helpers behind the routes.
+Object.assign(module.exports, {
+  setFetch,
+  startWatchScheduler,
+  internals: {
+    parseTs, toLocalIso, sanitizeQ, parseOpeningHours, openingIntervalsForDay, isOpenAt,
+    dticketViolations, lruGet, lruSet, decodeFlexPolyline, connectionRef, parseConnectionRef,
+    sweepScore
+  }
+});
 
 
 
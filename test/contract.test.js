@@ -0,0 +1,205 @@
+// Response contracts of /transit, /drive and /sixt_opening against stubbed upstreams
+// (setFetch): the fields clients rely on and the error statuses they branch on.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.HERE_API_KEY = process.env.HERE_API_KEY || 'test-key';
+process.env.LOG_LEVEL = 'error';
+process.env.INBOUND_BURST = '1000';
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+delete process.env.UPSTREAM_FIXTURES;
+
+const app = require('../server');
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+const iso = (sec) => new Date(sec * 1000).toISOString();
+
+// Per test: which trains the transit stub offers ('regional' | 'intercity' | 'none').
+let trains = 'regional';
+
+function transitRoute(dep){
+  const ic = trains === 'intercity';
+  return { sections: [{
+    type: 'transit',
+    transport: ic ? { mode: 'intercityTrain', name: 'IC 2020', category: 'Intercity' }
+                  : { mode: 'regionalTrain', name: 'RE1', category: 'Regional' },
+    agency: { name: 'DB' },
+    departure: { time: iso(dep), place: { name: 'Berlin Hbf', type: 'station', location: { lat: 52.525, lng: 13.369 } } },
+    arrival: { time: iso(dep + 2400), place: { name: 'Potsdam Hbf', type: 'station', location: { lat: 52.391, lng: 13.067 } } },
+    summary: { duration: 2400, length: 30000 }
+  }] };
+}
+
+async function stubFetch(url){
+  const u = new URL(String(url));
+  if (u.host === 'geocode.search.hereapi.com' || u.host === 'discover.search.hereapi.com') {
+    const q = u.searchParams.get('q') || '';
+    if (/nowhere/i.test(q)) return json({ items: [] });
+    const h = [...q].reduce((a, c) => a + c.charCodeAt(0), 0);
+    return json({ items: [{
+      title: q, resultType: 'houseNumber', scoring: { queryScore: 0.95 }, address: { label: q, city: 'Berlin' },
+      position: { lat: 52 + (h % 100) / 1000, lng: 13 + (h % 37) / 1000 }
+    }] });
+  }
+  if (u.host === 'transit.router.hereapi.com') {
+    if (trains === 'none') return json({ routes: [] });
+    const dep = u.searchParams.get('departureTime'), arr = u.searchParams.get('arrivalTime');
+    const t = dep ? Math.ceil(Date.parse(dep) / 300e3) * 300 : Date.parse(arr) / 1000 - 2700;
+    return json({ routes: [transitRoute(t)] });
+  }
+  if (u.host === 'router.hereapi.com') {
+    const dep = Date.parse(u.searchParams.get('departureTime') || '2026-10-19T08:00:00+02:00') / 1000;
+    return json({ routes: [{ sections: [{
+      summary: { duration: 1800, length: 25000, baseDuration: 1600, typicalDuration: 1700 },
+      departure: { time: iso(dep) }, arrival: { time: iso(dep + 1800) }
+    }] }] });
+  }
+  if (u.host === 'overpass-api.de') {
+    return json({ elements: [{ type: 'node', id: 1, lat: 52.001, lon: 13.001,
+      tags: { name: 'Sixt Mitte', brand: 'Sixt', opening_hours: 'Mo-Fr 08:00-12:00,14:00-18:00; Sa 09:00-13:00' } }] });
+  }
+  return json({ error: 'unexpected upstream' }, 404);
+}
+
+let server, base;
+test.before(async () => {
+  app.setFetch(stubFetch);
+  server = app.listen(0);
+  await new Promise(r => server.once('listening', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => { app.setFetch(null); server.close(); });
+
+async function get(path){
+  const r = await fetch(base + path);
+  return { status: r.status, body: await r.json() };
+}
+
+// Mon 2026-10-19 09:00 Europe/Berlin
+const MON_9 = '2026-10-19T09:00:00+02:00';
+
+test('/transit depart: OK with the route, times and details', async () => {
+  trains = 'regional';
+  const { status, body } = await get(`/transit?origin=Alexanderplatz&destination=Potsdam&departure_time=${encodeURIComponent(MON_9)}`);
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+  assert.equal(body.mode, 'depart');
+  assert.equal(body.origin, 'Alexanderplatz');
+  assert.equal(body.destination, 'Potsdam');
+  assert.equal(body.requested_time, Date.parse(MON_9) / 1000);
+  assert.equal(body.duration, 2400);
+  assert.equal(body.duration_minutes, 40);
+  assert.equal(body.arrive - body.depart, 2400);
+  assert.equal(body.earliest_arrival, body.arrive);
+  assert.equal(body.tz, 'Europe/Berlin');
+  assert.match(body.depart_local, /^2026-10-19T09:00:00\+02:00$/);
+  assert.equal(typeof body.refresh_id, 'string');
+  assert.equal(body.details.length, 1);
+  for (const k of ['type', 'line', 'agency', 'from', 'to', 'dep', 'arr', 'product', 'dep_rt', 'arr_delay', 'cancelled', 'fares']) {
+    assert.ok(k in body.details[0], `details[0].${k}`);
+  }
+  assert.equal(body.details[0].type, 'TRANSIT');
+  assert.equal(body.details[0].line, 'RE1');
+});
+
+test('/transit arrive: OK with latest_departure on time', async () => {
+  trains = 'regional';
+  const { status, body } = await get(`/transit?origin=Alexanderplatz&destination=Potsdam Park&arrival_time=${encodeURIComponent(MON_9)}`);
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+  assert.equal(body.mode, 'arrive');
+  assert.ok(body.arrive <= Date.parse(MON_9) / 1000);
+  assert.equal(body.latest_departure, body.depart);
+  assert.equal(body.earliest_arrival, undefined);
+});
+
+test('/transit: GEOCODE_FAIL when an address does not resolve', async () => {
+  const { status, body } = await get(`/transit?origin=Alexanderplatz&destination=Nowhere&departure_time=${encodeURIComponent(MON_9)}`);
+  assert.equal(status, 400);
+  assert.equal(body.status, 'GEOCODE_FAIL');
+  assert.equal(body.destination.ok, false);
+  assert.equal(body.origin.ok, true);
+});
+
+test('/transit dticket=1: REJECTED_D_TICKET with the violations when only IC runs', async () => {
+  trains = 'intercity';
+  const { status, body } = await get(`/transit?origin=Alexanderplatz&destination=Hamburg&dticket=1&departure_time=${encodeURIComponent(MON_9)}`);
+  assert.equal(status, 502);
+  assert.equal(body.status, 'REJECTED_D_TICKET');
+  assert.ok(body.d_ticket_violations.length >= 1);
+  assert.equal(body.d_ticket_violations[0].line, 'IC 2020');
+  assert.equal(body.destination_geocoded.title, 'Hamburg');
+});
+
+test('/transit: ZERO_RESULTS when no connection runs in the window', async () => {
+  trains = 'none';
+  const { status, body } = await get(`/transit?origin=Alexanderplatz&destination=Leipzig&departure_time=${encodeURIComponent(MON_9)}`);
+  assert.equal(status, 502);
+  assert.equal(body.status, 'ZERO_RESULTS');
+  assert.equal(body.message, 'No routes in window');
+  assert.equal(body.d_ticket_violations, undefined);
+});
+
+test('/transit: 400 bad_input for an unparseable time', async () => {
+  const { status, body } = await get('/transit?origin=Alexanderplatz&destination=Potsdam&departure_time=0x10');
+  assert.equal(status, 400);
+  assert.equal(body.error, 'bad_input');
+});
+
+test('/drive: OK with durations, distance and times', async () => {
+  const { status, body } = await get(`/drive?origin=Alexanderplatz&destination=Potsdam&departure_time=${encodeURIComponent(MON_9)}`);
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+  assert.equal(body.provider, 'here');
+  assert.equal(body.vehicle, 'car');
+  assert.deepEqual(body.avoid, []);
+  assert.equal(body.duration_seconds, 1800);
+  assert.equal(body.duration_minutes, 30);
+  assert.equal(body.typical_duration_seconds, 1700);
+  assert.equal(body.traffic_delay_seconds, 100);
+  assert.equal(body.distance_m, 25000);
+  assert.equal(body.distance_km, 25);
+  assert.equal(body.depart, Date.parse(MON_9) / 1000);
+  assert.equal(body.arrive, body.depart + 1800);
+  assert.equal(body.polyline, undefined);
+});
+
+test('/drive: GEOCODE_FAIL and BAD_INPUT', async () => {
+  let r = await get('/drive?origin=Nowhere&destination=Potsdam');
+  assert.equal(r.status, 400);
+  assert.equal(r.body.status, 'GEOCODE_FAIL');
+  assert.equal(r.body.origin.ok, false);
+  r = await get('/drive?origin=Alexanderplatz');
+  assert.equal(r.status, 400);
+  assert.equal(r.body.status, 'BAD_INPUT');
+  r = await get('/drive?origin=Alexanderplatz&destination=Potsdam&vehicle=bike');
+  assert.equal(r.status, 400);
+  assert.equal(r.body.status, 'BAD_INPUT');
+});
+
+test('/sixt_opening: the nearest branch with its hours for the day', async () => {
+  const { status, body } = await get(`/sixt_opening?near=Alexanderplatz&date=${encodeURIComponent(MON_9)}&at=${encodeURIComponent(MON_9)}`);
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.name, 'Sixt Mitte');
+  assert.equal(typeof body.lat, 'number');
+  assert.equal(typeof body.lng, 'number');
+  assert.equal(body.opening_hours, 'Mo-Fr 08:00-12:00,14:00-18:00; Sa 09:00-13:00');
+  assert.equal(body.open_hhmm, '08:00');
+  assert.equal(body.close_hhmm, '18:00');
+  assert.deepEqual(body.intervals, [{ open: '08:00', close: '12:00' }, { open: '14:00', close: '18:00' }]);
+  assert.equal(body.closed, false);
+  assert.equal(body.holiday, false);
+  assert.equal(body.at, Date.parse(MON_9) / 1000);
+  assert.equal(body.is_open_at, true);
+});
+
+test('/sixt_opening: GEOCODE_FAIL and a missing near', async () => {
+  let r = await get(`/sixt_opening?near=Nowhere&date=${encodeURIComponent(MON_9)}`);
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { ok: false, reason: 'GEOCODE_FAIL', tz: 'Europe/Berlin' });
+  r = await get('/sixt_opening');
+  assert.equal(r.status, 400);
+  assert.equal(r.body.ok, false);
+});
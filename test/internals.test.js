@@ -0,0 +1,127 @@
+// Pure helpers behind the routes (require('./server').internals).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const { internals: {
+  parseTs, toLocalIso, sanitizeQ, openingIntervalsForDay, isOpenAt, dticketViolations,
+  lruGet, lruSet, connectionRef, parseConnectionRef, sweepScore
+} } = require('../server');
+
+const BERLIN = 'Europe/Berlin';
+
+test('parseTs: unix seconds, ISO with offset and local wall time', () => {
+  assert.equal(parseTs('1792393200'), 1792393200);
+  assert.equal(parseTs('2026-10-19T09:00:00+02:00'), 1792393200);
+  assert.equal(parseTs('2026-10-19T07:00:00Z'), 1792393200);
+  assert.equal(parseTs('2026-10-19 09:00', BERLIN), 1792393200);
+  assert.equal(parseTs('2026-10-19T09:00', 'Europe/London'), 1792396800);
+});
+
+test('parseTs: rejects hex, exponents, bare years and offsets beyond ±14:00', () => {
+  for (const v of ['0x10', '1e9', '2026', '12345678901234', '2026-10-19T09:00+15:00', '2026-10-19T09:00+02:75', 'soon']) {
+    assert.throws(() => parseTs(v, BERLIN), (e) => e.constructor.name === 'BadInputError', v);
+  }
+});
+
+test('toLocalIso: wall time with the zone offset', () => {
+  assert.equal(toLocalIso(1792393200, BERLIN), '2026-10-19T09:00:00+02:00');
+  assert.equal(toLocalIso(1792393200, 'UTC'), '2026-10-19T07:00:00+00:00');
+});
+
+test('sanitizeQ: first segment, no emojis or control characters, capped', () => {
+  assert.equal(sanitizeQ('🚗 Königsallee 1,\tDüsseldorf | Tor 3'), 'Königsallee 1, Düsseldorf');
+  assert.equal(sanitizeQ('Hauptstr. 5; hinten'), 'Hauptstr. 5');
+  assert.equal(sanitizeQ('x'.repeat(300)).length, 140);
+  assert.equal(sanitizeQ(null), '');
+});
+
+test('opening hours: split shifts, Saturday and public holidays', () => {
+  const oh = 'Mo-Fr 08:00-12:00,14:00-18:00; Sa 09:00-13:00; PH off';
+  const mon = openingIntervalsForDay(oh, { y: 2026, m: 10, d: 19 }, { state: 'BE' });
+  assert.deepEqual(mon.intervals, [{ open: '08:00', close: '12:00' }, { open: '14:00', close: '18:00' }]);
+  assert.equal(isOpenAt(mon.intervals, 9 * 60), true);
+  assert.equal(isOpenAt(mon.intervals, 12 * 60 + 30), false);
+  assert.equal(isOpenAt(mon.intervals, 18 * 60), false);
+  const sat = openingIntervalsForDay(oh, { y: 2026, m: 10, d: 24 }, { state: 'BE' });
+  assert.deepEqual(sat.intervals, [{ open: '09:00', close: '13:00' }]);
+  const unity = openingIntervalsForDay(oh, { y: 2026, m: 10, d: 3 }, { state: 'BE' });
+  assert.equal(unity.holiday, true);
+  assert.deepEqual(unity.intervals, []);
+  assert.equal(openingIntervalsForDay('whenever', { y: 2026, m: 10, d: 19 }), null);
+});
+
+test('opening hours: overnight spans spill into the next day', () => {
+  const tue = openingIntervalsForDay('Mo 20:00-02:00', { y: 2026, m: 10, d: 20 });
+  assert.deepEqual(tue.intervals, [{ open: '00:00', close: '02:00' }]);
+});
+
+const section = (transport, from = 'Berlin Hbf', to = 'Hamburg Hbf') => ({
+  transport, departure: { place: { name: from } }, arrival: { place: { name: to } }
+});
+
+test('dticketViolations: regional trains pass, long distance is flagged', () => {
+  assert.deepEqual(dticketViolations([section({ mode: 'regionalTrain', name: 'RE1', category: 'Regional' })]), []);
+  const [ice] = dticketViolations([section({ mode: 'highSpeedTrain', name: 'ICE 703', category: 'ICE' })]);
+  assert.equal(ice.rule, 'product');
+  const [flix] = dticketViolations([{ ...section({ mode: 'regionalTrain', name: 'FLX 10' }), agency: { name: 'FlixTrain' } }]);
+  assert.equal(flix.rule, 'operator');
+  const [abroad] = dticketViolations([section({ mode: 'regionalTrain', name: 'RE3' }, 'Passau Hbf', 'Linz Hbf')]);
+  assert.equal(abroad.rule, 'international');
+});
+
+test('dticketViolations: the accepted IC lines cover IC only, never ICE', () => {
+  const gaeu = (transport) => dticketViolations([section(transport, 'Stuttgart Hbf', 'Singen (Hohentwiel)')]);
+  assert.deepEqual(gaeu({ mode: 'intercityTrain', name: 'IC 2281', category: 'IC' }), []);
+  assert.equal(gaeu({ mode: 'highSpeedTrain', name: 'ICE 2281', category: 'ICE' })[0].rule, 'product');
+  assert.equal(gaeu({ mode: 'regionalTrain', name: 'ICE 2281' })[0].rule, 'line_pattern');
+  assert.equal(dticketViolations([section({ mode: 'intercityTrain', name: 'IC 2020' })])[0].rule, 'product');
+});
+
+test('sweepScore: arrive ranks on time, then the latest departure, then shorter', () => {
+  const ctx = { mode: 'arrive', baseTs: 1000 };
+  const rank = (list) => list.slice().sort((a, b) => {
+    const sa = sweepScore(a, ctx), sb = sweepScore(b, ctx);
+    const i = sa.findIndex((v, k) => v !== sb[k]);
+    return i < 0 ? 0 : sa[i] - sb[i];
+  }).map(r => r.id);
+  assert.deepEqual(rank([
+    { id: 'late', depart: 900, arrive: 1100, durationSec: 200 },
+    { id: 'early', depart: 100, arrive: 500, durationSec: 400 },
+    { id: 'latest', depart: 600, arrive: 990, durationSec: 390 },
+    { id: 'latest-fast', depart: 600, arrive: 900, durationSec: 300 }
+  ]), ['latest-fast', 'latest', 'early', 'late']);
+  assert.deepEqual(sweepScore({ depart: 600, arrive: 990, arrive_rt: 1020, durationSec: 390 }, { ...ctx, realtime: true })[0], 1);
+});
+
+test('sweepScore: depart ranks not-before-base, then the earliest arrival', () => {
+  const ctx = { mode: 'depart', baseTs: 1000 };
+  assert.deepEqual(sweepScore({ depart: 1200, arrive: 2000, durationSec: 800 }, ctx), [0, 2000, 800]);
+  assert.deepEqual(sweepScore({ depart: 900, arrive: 1500, durationSec: 600 }, ctx), [1, 1500, 600]);
+  assert.deepEqual(sweepScore({ ts: 1000, arrive: null }, ctx), [0, 9e15, 9e15]);
+});
+
+test('lruGet/lruSet: evicts the least recently used and honours TTLs', (t) => {
+  const m = new Map();
+  lruSet(m, 'a', 1, 2); lruSet(m, 'b', 2, 2);
+  assert.equal(lruGet(m, 'a'), 1);            // a is now most recent
+  lruSet(m, 'c', 3, 2);
+  assert.equal(lruGet(m, 'b'), undefined);
+  assert.deepEqual([...m.keys()], ['a', 'c']);
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  lruSet(m, 'd', 4, 5, 1000);
+  assert.equal(lruGet(m, 'd'), 4);
+  t.mock.timers.tick(1001);
+  assert.equal(lruGet(m, 'd'), undefined);
+});
+
+test('connectionRef round-trips; junk is null', () => {
+  const route = { provider: 'here', depart: 1792393200, details: [{ type: 'TRANSIT', line: 'RE1' }, { type: 'WALK' }] };
+  const ref = parseConnectionRef(connectionRef(route, { origin: { lat: 52.5, lng: 13.4 }, destination: { lat: 52.4, lng: 13.1 }, dticket: true }));
+  assert.equal(ref.p, 'here');
+  assert.deepEqual(ref.o, [52.5, 13.4]);
+  assert.equal(ref.t, 1792393200);
+  assert.equal(ref.l, 'RE1');
+  assert.equal(ref.k, 1);
+  assert.equal(parseConnectionRef('not-a-ref'), null);
+});
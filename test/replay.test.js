@@ -0,0 +1,72 @@
+// The same contracts served from the recorded upstream answers in fixtures/upstream
+// (UPSTREAM_FIXTURES=replay), with the network stubbed out so a missing fixture fails loudly.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.HERE_API_KEY = process.env.HERE_API_KEY || 'test-key';
+process.env.LOG_LEVEL = 'error';
+process.env.INBOUND_BURST = '1000';
+process.env.UPSTREAM_FIXTURES = 'replay';
+process.env.UPSTREAM_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+for (const k of ['API_KEYS', 'API_KEYS_FILE', 'DEFAULT_COUNTRY', 'DEFAULT_STATE', 'ROUTING_PROVIDER', 'OSM_OVERPASS_URL']) delete process.env[k];
+
+const app = require('../server');
+
+let server, base;
+test.before(async () => {
+  app.setFetch(async (url) => { throw new Error(`network used in replay: ${url}`); });
+  server = app.listen(0);
+  await new Promise(r => server.once('listening', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => { app.setFetch(null); server.close(); });
+
+async function get(path){
+  const r = await fetch(base + path);
+  return { status: r.status, body: await r.json() };
+}
+
+const FROM = encodeURIComponent('Alexanderplatz 1, Berlin');
+const TO = encodeURIComponent('Potsdam Hauptbahnhof');
+const MON_9 = encodeURIComponent('2026-10-19T09:00:00+02:00');
+
+test('/transit from fixtures: walk + RE1 to Potsdam', async () => {
+  const { status, body } = await get(`/transit?origin=${FROM}&destination=${TO}&departure_time=${MON_9}`);
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+  assert.equal(body.origin, 'Alexanderplatz 1, 10178 Berlin, Deutschland');
+  assert.equal(body.depart_local, '2026-10-19T09:00:00+02:00');
+  assert.equal(body.arrive_local, '2026-10-19T09:43:00+02:00');
+  assert.equal(body.duration_minutes, 43);
+  assert.deepEqual(body.details.map(d => d.type), ['WALK', 'TRANSIT']);
+  assert.deepEqual([body.details[1].line, body.details[1].from, body.details[1].to], ['RE1', 'Berlin Alexanderplatz', 'Potsdam Hbf']);
+  assert.equal(body.details[1].platform_dep, '2');
+});
+
+test('/drive from fixtures: traffic delay and distance', async () => {
+  const { status, body } = await get(`/drive?origin=${FROM}&destination=${TO}&departure_time=${MON_9}`);
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+  assert.equal(body.duration_seconds, 2310);
+  assert.equal(body.typical_duration_seconds, 2190);
+  assert.equal(body.traffic_delay_seconds, 120);
+  assert.equal(body.distance_km, 35.1);
+  assert.equal(body.arrive_local, '2026-10-19T09:38:30+02:00');
+});
+
+test('/sixt_opening from fixtures: branch hours and open at 09:00', async () => {
+  const { status, body } = await get(`/sixt_opening?near=${FROM}&date=${MON_9}&at=${MON_9}`);
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.name, 'Sixt Autovermietung');
+  assert.deepEqual(body.intervals, [{ open: '07:00', close: '20:00' }]);
+  assert.equal(body.is_open_at, true);
+});
+
+test('an unrecorded address is a GEOCODE_FAIL, not a network call', async () => {
+  const { status, body } = await get(`/drive?origin=${encodeURIComponent('Unter den Linden 1, Berlin')}&destination=${TO}`);
+  assert.equal(status, 400);
+  assert.equal(body.status, 'GEOCODE_FAIL');
+  assert.equal(body.origin.ok, false);
+});